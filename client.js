@@ -2,33 +2,66 @@ import { WebSocket } from 'ws';
 import React from 'react';
 import { render, Box, Text } from 'ink';
 import readline from 'readline';
-import http from 'http';
-import { exec } from 'child_process';
-import { OLLAMA_MODELS, FALLBACK_MODEL, EDUCATOR_IP } from './constants.js';
+import { EDUCATOR_IP, RECONNECT_DELAY_MS, RECONNECT_MAX_DELAY_MS } from './constants.js';
+import { describeQuizType, optionLetter } from './quizTypes.js';
+
+// Parse command line: node client.js [educator-ip] [--name <name>] [--roll <roll>] [--code <join code>]
+function parseArgs(argv) {
+  const args = { ip: '' };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+    if (flag) {
+      args[flag[1]] = flag[2] !== undefined ? flag[2] : (argv[++i] || '');
+    } else if (!args.ip) {
+      args.ip = argv[i];
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
 
 // Get educator IP from command line or constants
-const educatorIP = process.argv[2] || EDUCATOR_IP;
+const educatorIP = args.ip || EDUCATOR_IP;
 
 if (!educatorIP) {
   console.error('Error: Educator IP not configured');
   console.error('');
   console.error('Option 1: Set EDUCATOR_IP in constants.js');
   console.error('Option 2: Pass IP as argument: node client.js <educator-ip>');
-  console.error('Example: node client.js 192.168.1.100');
+  console.error('Example: node client.js 192.168.1.100 --name Asha --roll 12 --code K7P2QX');
   process.exit(1);
 }
 
+// Learner identity sent to the educator on connect
+const learnerName = (args.name || '').trim();
+const learnerRoll = (args.roll || '').trim();
+// Join code shown on the educator's screen
+const joinCode = (args.code || '').trim();
+
 const PORT = 8080;
 const wsUrl = `ws://${educatorIP}:${PORT}`;
 
 let ws = null;
+let resumeToken = null; // issued by the educator in welcome, sent back in hello to resume after a drop
+let autoReconnect = true; // off after the educator rejects us or the learner quits
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+let reconnectAt = null; // time of the next automatic reconnection attempt
+let heartbeatTimer = null;
+let lastHeartbeatAck = 0;
+let isMuted = false; // muted learners can answer quizzes and send doubts but not chat
+let privateThread = []; // private messages with the educator: { from: 'you' | 'educator', text, timestamp }
+let isPrivateMode = false; // typed messages go privately to the educator instead of the class
+let updatePrivateCallback = null;
 let messageList = [];
 let status = 'Connecting...';
 let currentQuiz = null;
-let quizHint = null;
+let quizHints = []; // hint levels received for the current quiz: { level, hint, penalty }
 let isGeneratingHint = false;
 let hintExpanded = false;
 let answerFeedback = null;
+let classResults = null; // answer distribution of the current quiz, sent by the educator on /reveal
 let hintsUsedByLearner = 0;
 let addMessageCallback = null;
 let updateStatusCallback = null;
@@ -37,6 +70,8 @@ let updateHintCallback = null;
 let currentDoubt = null;
 let isDoubtActive = false;
 let updateDoubtCallback = null;
+let doubtBoard = null; // anonymous doubts of the running collection: { id, text, votes, mine, voted }
+let resolvedDoubt = null; // latest doubt answered by the educator: { number, question, answer }
 
 // Function to get relative time
 function getRelativeTime(timestamp) {
@@ -78,9 +113,29 @@ function updateStatus(newStatus) {
   }
 }
 
+// Seconds left on a timed quiz, or null if it has no time limit
+function getSecondsLeft(quiz) {
+  if (!quiz || !quiz.localDeadline) return null;
+  return Math.max(0, Math.ceil((quiz.localDeadline - Date.now()) / 1000));
+}
+
+// Mark the current quiz as closed for answers
+function closeCurrentQuiz(quizId, reason) {
+  if (!currentQuiz || currentQuiz.id !== quizId) return;
+  currentQuiz.closed = true;
+  currentQuiz.closedReason = reason;
+  if (updateQuizCallback) {
+    updateQuizCallback();
+  }
+}
+
 // Set current quiz
 function setQuiz(quiz) {
+  // Deadline on the local clock so skew with the educator does not matter
+  quiz.localDeadline = typeof quiz.timeRemaining === 'number' ? Date.now() + quiz.timeRemaining : null;
+  quiz.closed = false;
   currentQuiz = quiz;
+  classResults = null;
   hintsUsedByLearner = 0; // Reset hint count for new quiz
   if (updateQuizCallback) {
     updateQuizCallback();
@@ -90,9 +145,10 @@ function setQuiz(quiz) {
 // Clear quiz
 function clearQuiz() {
   currentQuiz = null;
-  quizHint = null;
+  quizHints = [];
   hintExpanded = false;
   answerFeedback = null;
+  classResults = null;
   hintsUsedByLearner = 0;
   if (updateQuizCallback) {
     updateQuizCallback();
@@ -118,9 +174,17 @@ function setAnswerFeedback(feedback) {
   }
 }
 
-// Set quiz hint
-function setQuizHint(hint) {
-  quizHint = hint;
+// Set the class results revealed by the educator
+function setClassResults(results) {
+  classResults = results;
+  if (updateQuizCallback) {
+    updateQuizCallback();
+  }
+}
+
+// Add a hint level sent by the educator
+function addQuizHint(hint) {
+  quizHints = quizHints.filter(h => h.level !== hint.level).concat([hint]).sort((a, b) => a.level - b.level);
   if (updateHintCallback) {
     updateHintCallback();
   }
@@ -147,109 +211,114 @@ function setDoubt(active) {
   }
 }
 
-// Clear doubt
-function clearDoubt() {
-  isDoubtActive = false;
-  currentDoubt = null;
+// Set the live doubt board, or null when no collection is running
+function setDoubtBoard(doubts) {
+  doubtBoard = doubts;
   if (updateDoubtCallback) {
     updateDoubtCallback();
   }
 }
 
-// Generate hint using Ollama
-function generateHint(question) {
-  return new Promise((resolve, reject) => {
-    const prompt = `Question: "${question}"
-
-Provide a Socratic reasoning hint for this question. A Socratic hint should:
-- Guide the learner to think through the problem
-- Ask leading questions rather than giving direct answers
-- IT IS IMPORTANT DO NOT GIVE ANSWER, I REPEAT DO NOT GIVE ANSWER
-- Help them reason through the concepts
-- Be VERY SHORT: Maximum 1-2 lines (20-30 words maximum)
-- Do NOT write paragraphs or long explanations
-
-CRITICAL: Keep it extremely brief - just one or two short sentences. Provide only the hint, no additional explanation.`;
+// Show the educator's answer to a class doubt, or null to hide it
+function setResolvedDoubt(resolution) {
+  resolvedDoubt = resolution;
+  if (updateDoubtCallback) {
+    updateDoubtCallback();
+  }
+}
 
-    // Try API first
-    const postData = JSON.stringify({
-      model: OLLAMA_MODELS.LEARNER_MODEL,
-      prompt: prompt,
-      stream: false
-    });
+// Add a message to the private thread with the educator
+function addPrivateMessage(from, text, timestamp = Date.now()) {
+  privateThread.push({ from: from, text: text, timestamp: timestamp });
+  if (updatePrivateCallback) {
+    updatePrivateCallback();
+  }
+}
 
-    const options = {
-      hostname: 'localhost',
-      port: 11434,
-      path: '/api/generate',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
+// Switch private question mode on or off
+function setPrivateMode(on) {
+  isPrivateMode = on;
+  if (updatePrivateCallback) {
+    updatePrivateCallback();
+  }
+}
 
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          let hint = response.response || 'Think about the key concepts in the question.';
-          hint = hint.trim();
-          // Truncate to 2 lines maximum (approximately 150 characters)
-          const lines = hint.split('\n');
-          if (lines.length > 2) {
-            hint = lines.slice(0, 2).join(' ').trim();
-          }
-          // Limit to 150 characters max
-          if (hint.length > 150) {
-            hint = hint.substring(0, 147) + '...';
-          }
-          resolve(hint);
-        } catch (error) {
-          tryCommandLineHint(prompt, resolve, reject);
-        }
-      });
-    });
+// Send a private question to the educator
+function sendPrivateQuestion(text) {
+  if (isMuted) {
+    addMessage('You are muted by the educator and cannot chat', 'system');
+  } else if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'private_message', data: { text: text } }));
+    addPrivateMessage('you', text);
+  } else {
+    addMessage('Not connected to educator', 'system');
+  }
+}
 
-    req.on('error', () => {
-      tryCommandLineHint(prompt, resolve, reject);
-    });
+// Clear doubt
+function clearDoubt() {
+  isDoubtActive = false;
+  currentDoubt = null;
+  if (updateDoubtCallback) {
+    updateDoubtCallback();
+  }
+}
 
-    req.write(postData);
-    req.end();
-  });
+// Number of hint levels the educator offers for a quiz
+function getMaxHintLevel(quiz) {
+  return quiz && quiz.hintPenalties ? quiz.hintPenalties.length : 0;
 }
 
-// Fallback to command line for hint
-function tryCommandLineHint(prompt, resolve, reject) {
-  exec(`ollama run ${FALLBACK_MODEL} "${prompt.replace(/"/g, '\\"')}"`, { maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
-    if (error) {
-      resolve('Think about the key concepts in the question.');
-      return;
-    }
-    let hint = stdout.trim() || 'Think about the key concepts in the question.';
-    // Truncate to 2 lines maximum (approximately 150 characters)
-    const lines = hint.split('\n');
-    if (lines.length > 2) {
-      hint = lines.slice(0, 2).join(' ').trim();
+// Read typed input as an answer to the quiz
+// Returns { data, label } for the quiz_answer frame, { error } for a malformed answer, or null when it is not an answer
+function parseAnswerInput(quiz, input) {
+  const type = quiz.type || 'mcq';
+  const text = input.trim();
+  const letterIndex = letter => letter.toUpperCase().charCodeAt(0) - 65;
+  if (type === 'mcq' || type === 'truefalse') {
+    let index = /^[A-Z]$/i.test(text) ? letterIndex(text) : -1;
+    if (type === 'truefalse' && /^(t|true|f|false)$/i.test(text)) {
+      index = /^t/i.test(text) ? 0 : 1;
     }
-    // Limit to 150 characters max
-    if (hint.length > 150) {
-      hint = hint.substring(0, 147) + '...';
+    if (index < 0 || index >= quiz.options.length) return null;
+    return { data: { answerIndex: index }, label: `${optionLetter(index)}. ${quiz.options[index]}` };
+  }
+  if (type === 'multi') {
+    if (!/^[A-Z](?:\s*[,\s]\s*[A-Z])*$/i.test(text)) return null;
+    const indexes = [...new Set(text.split(/[\s,]+/).map(letterIndex))].sort((a, b) => a - b);
+    if (indexes.some(i => i >= quiz.options.length)) {
+      return { error: `Choose letters from A to ${optionLetter(quiz.options.length - 1)}` };
     }
-    resolve(hint);
-  });
+    return { data: { answerIndexes: indexes }, label: indexes.map(optionLetter).join(', ') };
+  }
+  if (type === 'numeric') {
+    // The unit may be typed after the number
+    const unit = quiz.unit ? quiz.unit.toLowerCase() : null;
+    const number = unit && text.toLowerCase().endsWith(unit) ? text.slice(0, -unit.length).trim() : text;
+    if (!/^[-+]?(\d+([.,]\d*)?|[.,]\d+)(e[-+]?\d+)?$/i.test(number)) return null;
+    return { data: { value: number.replace(',', '.') }, label: `${number}${quiz.unit ? ` ${quiz.unit}` : ''}` };
+  }
+  // Short answers: anything that is not a command
+  if (text.startsWith('/') || /^(hint|toggle)$/i.test(text)) return null;
+  return { data: { text: text }, label: text };
+}
+
+// How to answer the quiz, shown under it
+function getAnswerInstructions(quiz) {
+  const type = quiz.type || 'mcq';
+  if (type === 'truefalse') return 'Type T (true) or F (false) to answer';
+  if (type === 'multi') return `Type every correct letter, e.g. A,C (A to ${optionLetter(quiz.options.length - 1)})`;
+  if (type === 'numeric') return `Type a number${quiz.unit ? ` (in ${quiz.unit})` : ''} to answer`;
+  if (type === 'text') return 'Type your answer in a word or short phrase';
+  return 'Type A, B, C, or D to answer';
 }
 
 // Hint Component (Collapsible)
-function HintComponent({ hint, isGenerating, expanded, onToggle }) {
-  if (!hint && !isGenerating) return null;
+function HintComponent({ hints, maxLevel, isGenerating, expanded, onToggle }) {
+  if (hints.length === 0 && !isGenerating) return null;
 
   return React.createElement(Box, {
+    flexDirection: 'column',
     marginY: 1,
     borderStyle: 'single',
     borderColor: 'blue'
@@ -262,17 +331,18 @@ function HintComponent({ hint, isGenerating, expanded, onToggle }) {
       onClick: onToggle
     },
       React.createElement(Text, { color: 'white', bold: true },
-        `HINT ${expanded ? '[-]' : '[+]'}`
+        `HINT ${hints.length}/${maxLevel} ${expanded ? '[-]' : '[+]'}`
       )
     ),
-    expanded && hint ? React.createElement(Box, {
+    expanded && hints.length > 0 ? React.createElement(Box, {
+      flexDirection: 'column',
       paddingX: 1,
       paddingY: 0.5,
       backgroundColor: 'black'
     },
-      React.createElement(Text, { color: 'white' },
-        hint
-      )
+      hints.map(h => React.createElement(Text, { key: h.level, color: 'white' },
+        `${h.level}. ${h.hint}`
+      ))
     ) : null,
     isGenerating ? React.createElement(Box, {
       paddingX: 1,
@@ -286,11 +356,44 @@ function HintComponent({ hint, isGenerating, expanded, onToggle }) {
   );
 }
 
+// Class results Component: the anonymous answer distribution revealed by the educator
+function ClassResultsDisplay({ results, answered }) {
+  const width = 20;
+  const entries = results.distribution.entries;
+  const max = Math.max(1, ...entries.map(e => e.count));
+  const label = e => (results.distribution.freeForm ? `"${e.label.length > 20 ? `${e.label.substring(0, 17)}...` : e.label}"` : e.label);
+  const labelWidth = Math.max(1, ...entries.map(e => label(e).length));
+  return React.createElement(Box, {
+    flexDirection: 'column',
+    marginY: 1,
+    paddingX: 1,
+    borderStyle: 'round',
+    borderColor: 'magenta'
+  },
+    React.createElement(Text, { color: 'magenta', bold: true },
+      `CLASS RESULTS: ${results.totalAnswered} answered | average ${results.averageScore}%`
+    ),
+    React.createElement(Text, { color: 'green' },
+      `${answered ? '' : 'You did not answer. '}Correct answer: ${results.correctAnswer}`
+    ),
+    entries.map((e, i) => {
+      const length = e.count > 0 ? Math.max(1, Math.round(e.count / max * width)) : 0;
+      return React.createElement(Text, { key: i, color: e.correct ? 'green' : 'white', bold: e.correct },
+        `${label(e).padEnd(labelWidth)} ${'█'.repeat(length)}${'░'.repeat(width - length)} ${e.count}${e.correct ? ' ✓' : ''}`
+      );
+    })
+  );
+}
+
 // Quiz Component
-function QuizDisplay({ quiz, hint, isGenerating, hintExpanded, onToggleHint, feedback }) {
+function QuizDisplay({ quiz, hints, isGenerating, hintExpanded, onToggleHint, feedback, results }) {
   if (!quiz) return null;
+  const secondsLeft = getSecondsLeft(quiz);
+  const maxLevel = getMaxHintLevel(quiz);
+  const nextPenalty = hints.length < maxLevel ? quiz.hintPenalties[hints.length] : null;
 
   return React.createElement(Box, {
+    flexDirection: 'column',
     borderStyle: 'round',
     borderColor: 'cyan',
     paddingX: 1,
@@ -300,35 +403,53 @@ function QuizDisplay({ quiz, hint, isGenerating, hintExpanded, onToggleHint, fee
   },
     React.createElement(Box, { marginBottom: 1 },
       React.createElement(Text, { color: 'yellow', bold: true },
-        `QUIZ: ${quiz.question}`
+        `QUIZ${quiz.set ? ` (${quiz.set.index}/${quiz.set.total})` : ''}${quiz.type && quiz.type !== 'mcq' ? ` [${describeQuizType(quiz.type)}]` : ''}: ${quiz.question}`
       )
     ),
+    quiz.closed || secondsLeft !== null ? React.createElement(Box, { marginBottom: 1 },
+      React.createElement(Text, { color: quiz.closed || secondsLeft <= 10 ? 'red' : 'green', bold: true },
+        quiz.closed ? `⏱ ${quiz.closedReason || 'Time is up'}` : `⏱ Time left: ${secondsLeft}s`
+      )
+    ) : null,
     React.createElement(HintComponent, {
-      hint: hint,
+      hints: hints,
+      maxLevel: maxLevel,
       isGenerating: isGenerating,
       expanded: hintExpanded,
       onToggle: onToggleHint
     }),
     feedback ? React.createElement(Box, {
+      flexDirection: 'column',
       marginY: 1,
       paddingX: 1,
       paddingY: 0.5,
-      backgroundColor: feedback.correct ? 'green' : 'red',
+      backgroundColor: feedback.pending ? 'yellow' : feedback.correct ? 'green' : 'red',
       borderStyle: 'round',
-      borderColor: feedback.correct ? 'green' : 'red'
+      borderColor: feedback.pending ? 'yellow' : feedback.correct ? 'green' : 'red'
     },
-      React.createElement(Text, { color: 'white', bold: true },
-        feedback.correct ? '✓ CORRECT!' : '✗ INCORRECT'
+      React.createElement(Text, { color: feedback.pending ? 'black' : 'white', bold: true },
+        feedback.pending ? '… ANSWER SUBMITTED' : feedback.correct ? '✓ CORRECT!' : '✗ INCORRECT'
       ),
       React.createElement(Box, { marginTop: 0.5 },
-        React.createElement(Text, { color: 'white', bold: true },
+        React.createElement(Text, { color: feedback.pending ? 'black' : 'white', bold: true },
           feedback.message
         )
-      )
+      ),
+      feedback.explanation ? React.createElement(Box, { marginTop: 0.5 },
+        React.createElement(Text, { color: 'white' },
+          `Why: ${feedback.explanation}`
+        )
+      ) : null,
+      feedback.setScore ? React.createElement(Box, { marginTop: 0.5 },
+        React.createElement(Text, { color: 'white' },
+          `Set score: ${feedback.setScore.points !== undefined ? feedback.setScore.points : feedback.setScore.correct}/${feedback.setScore.total}`
+        )
+      ) : null
     ) : null,
+    results ? React.createElement(ClassResultsDisplay, { results: results, answered: !!feedback }) : null,
     React.createElement(Box, { flexDirection: 'column' },
-      quiz.options.map((option, i) => {
-        const letter = String.fromCharCode(65 + i);
+      (quiz.options || []).map((option, i) => {
+        const letter = optionLetter(i);
         const optionText = typeof option === 'string' ? option : String(option);
         return React.createElement(Box, { key: i, marginY: 0.5 },
           React.createElement(Text, { color: 'white' },
@@ -339,7 +460,11 @@ function QuizDisplay({ quiz, hint, isGenerating, hintExpanded, onToggleHint, fee
     ),
     React.createElement(Box, { marginTop: 1 },
       React.createElement(Text, { color: 'cyan' },
-        feedback ? 'Quiz completed!' : hint ? 'Type A, B, C, or D to answer | Type "toggle" to expand/collapse hint' : 'Type A, B, C, or D to answer | Type /hint for a hint'
+        feedback ? (feedback.pending ? 'Waiting for the educator to reveal the answer' : 'Quiz completed!') : results ? 'Quiz completed!' : quiz.closed ? 'Answers are closed' : [
+          getAnswerInstructions(quiz),
+          hints.length > 0 ? 'Type "toggle" to expand/collapse hints' : null,
+          nextPenalty !== null ? `Type /hint for hint ${hints.length + 1}${nextPenalty > 0 ? ` (-${nextPenalty}% if correct)` : ''}` : null
+        ].filter(Boolean).join(' | ')
       )
     )
   );
@@ -375,9 +500,83 @@ function DoubtDisplay({ isActive }) {
   );
 }
 
+// Doubt Board Component: everyone's doubts without names, most upvoted first
+function DoubtBoard({ doubts }) {
+  if (!doubts || doubts.length === 0) return null;
+
+  return React.createElement(Box, {
+    flexDirection: 'column',
+    borderStyle: 'round',
+    borderColor: 'magenta',
+    paddingX: 1,
+    marginY: 1
+  },
+    React.createElement(Text, { color: 'magenta', bold: true },
+      'CLASS DOUBTS'
+    ),
+    doubts.slice(0, 8).map(d => React.createElement(Text, { key: d.id, color: d.mine ? 'cyan' : 'white' },
+      `${d.id}. ▲${d.votes} ${d.text.length > 60 ? `${d.text.substring(0, 57)}...` : d.text}${d.mine ? ' (yours)' : d.voted ? ' ✓ upvoted' : ''}`
+    )),
+    doubts.length > 8 ? React.createElement(Text, { color: 'gray' },
+      `...and ${doubts.length - 8} more`
+    ) : null,
+    React.createElement(Text, { color: 'yellow' },
+      'Type /upvote <number> if you have the same doubt'
+    )
+  );
+}
+
+// Resolved Doubt Component: the educator's answer to one of the class doubts
+function ResolvedDoubtDisplay({ resolution }) {
+  if (!resolution) return null;
+
+  return React.createElement(Box, {
+    flexDirection: 'column',
+    borderStyle: 'double',
+    borderColor: 'green',
+    paddingX: 1,
+    marginY: 1
+  },
+    React.createElement(Text, { color: 'green', bold: true },
+      '✓ DOUBT RESOLVED'
+    ),
+    React.createElement(Text, { color: 'white', bold: true },
+      `Q: ${resolution.question}`
+    ),
+    React.createElement(Text, { color: 'white' },
+      resolution.answer
+    )
+  );
+}
+
+// Private Thread Component: messages only you and the educator see
+function PrivateThread({ messages, isPrivateMode }) {
+  if (messages.length === 0 && !isPrivateMode) return null;
+
+  return React.createElement(Box, {
+    flexDirection: 'column',
+    borderStyle: 'round',
+    borderColor: 'magenta',
+    paddingX: 1
+  },
+    React.createElement(Text, { color: 'magenta', bold: true },
+      `PRIVATE WITH TEACHER${isPrivateMode ? ' - private mode on' : ''}`
+    ),
+    messages.slice(-5).map((m, i) => React.createElement(Text, { key: i, color: m.from === 'you' ? 'cyan' : 'white' },
+      `${m.from === 'you' ? 'You' : 'Teacher'}: ${m.text} (${getRelativeTime(m.timestamp)})`
+    )),
+    React.createElement(Text, { color: 'gray' },
+      isPrivateMode ? 'Type /private to go back to the class chat' : 'Type /private to ask the teacher privately'
+    )
+  );
+}
+
 // Reconnect Button Component
-function ReconnectButton({ onReconnect }) {
+function ReconnectButton({ onReconnect, reconnectAt }) {
+  const seconds = reconnectAt ? Math.max(0, Math.ceil((reconnectAt - Date.now()) / 1000)) : null;
+
   return React.createElement(Box, {
+    flexDirection: 'column',
     marginTop: 1,
     paddingX: 1,
     paddingY: 1,
@@ -390,9 +589,11 @@ function ReconnectButton({ onReconnect }) {
         'Disconnected from Educator'
       )
     ),
-    React.createElement(Box,
+    React.createElement(Box, null,
       React.createElement(Text, { color: 'yellow' },
-        'Type "reconnect" and press Enter to reconnect'
+        seconds !== null
+          ? `Reconnecting automatically in ${seconds}s - type "reconnect" to try now`
+          : 'Type "reconnect" and press Enter to reconnect'
       )
     )
   );
@@ -408,24 +609,43 @@ function App() {
     updateQuizCallback = () => forceUpdate();
     updateHintCallback = () => forceUpdate();
     updateDoubtCallback = () => forceUpdate();
+    updatePrivateCallback = () => forceUpdate();
     return () => {
       addMessageCallback = null;
       updateStatusCallback = null;
       updateQuizCallback = null;
       updateHintCallback = null;
       updateDoubtCallback = null;
+      updatePrivateCallback = null;
     };
   }, []);
 
+  // Tick the countdown once a second while a timed quiz is open
+  const quizDeadline = currentQuiz && !currentQuiz.closed ? currentQuiz.localDeadline : null;
+  React.useEffect(() => {
+    if (quizDeadline) {
+      const interval = setInterval(() => forceUpdate(), 1000);
+      return () => clearInterval(interval);
+    }
+  }, [quizDeadline]);
+
+  // Count down to the next automatic reconnection attempt
+  React.useEffect(() => {
+    if (reconnectAt) {
+      const interval = setInterval(() => forceUpdate(), 1000);
+      return () => clearInterval(interval);
+    }
+  }, [reconnectAt]);
+
   const isDisconnected = status === 'Disconnected' || status === 'Error';
 
   return React.createElement(Box, { flexDirection: 'column' },
     React.createElement(Box, { backgroundColor: isDisconnected ? 'red' : 'green', paddingX: 1, paddingY: 0 },
       React.createElement(Text, { color: 'white', bold: true },
-        `Sahayak - Learner Mode | Connected to: ${educatorIP}:${PORT} | Status: ${status}`
+        `Sahayak - Learner Mode${learnerName ? ` | ${learnerName}` : ''} | Connected to: ${educatorIP}:${PORT} | Status: ${status}`
       )
     ),
-    React.createElement(Box, { flexDirection: 'column', height: (currentQuiz || isDoubtActive) ? 15 : 20, borderStyle: 'single', paddingX: 1 },
+    React.createElement(Box, { flexDirection: 'column', height: (currentQuiz || isDoubtActive || (doubtBoard && doubtBoard.length > 0)) ? 15 : 20, borderStyle: 'single', paddingX: 1 },
       messageList.slice(-20).map((msg, i) => {
         if (msg.type === 'system') {
           return React.createElement(Box, { key: i, justifyContent: 'center', marginY: 0.5 },
@@ -466,21 +686,27 @@ function App() {
     ),
     currentQuiz ? React.createElement(QuizDisplay, {
       quiz: currentQuiz,
-      hint: quizHint,
+      hints: quizHints,
       isGenerating: isGeneratingHint,
       hintExpanded: hintExpanded,
       onToggleHint: toggleHint,
-      feedback: answerFeedback
+      feedback: answerFeedback,
+      results: classResults
     }) : null,
     isDoubtActive ? React.createElement(DoubtDisplay, {
       isActive: isDoubtActive
     }) : null,
-    isDisconnected ? React.createElement(ReconnectButton, { onReconnect: connect }) : null,
+    React.createElement(DoubtBoard, { doubts: doubtBoard }),
+    React.createElement(ResolvedDoubtDisplay, { resolution: resolvedDoubt }),
+    React.createElement(PrivateThread, { messages: privateThread, isPrivateMode: isPrivateMode }),
+    isDisconnected ? React.createElement(ReconnectButton, { onReconnect: connect, reconnectAt: reconnectAt }) : null,
     React.createElement(Box, { marginTop: 1 },
-      React.createElement(Text, { color: currentQuiz ? 'cyan' : isDoubtActive ? 'magenta' : isDisconnected ? 'red' : 'yellow' },
-        currentQuiz ? 'Type A, B, C, or D to answer the quiz' : 
+      React.createElement(Text, { color: currentQuiz ? 'cyan' : isDoubtActive ? 'magenta' : isDisconnected ? 'red' : isMuted ? 'gray' : isPrivateMode ? 'magenta' : 'yellow' },
+        currentQuiz ? getAnswerInstructions(currentQuiz) : 
         isDoubtActive ? 'Type your doubt and press Enter to submit' :
         isDisconnected ? 'Type "reconnect" to reconnect to educator' :
+        isMuted ? 'You are muted by the educator: chat is off, quizzes and doubts still work' :
+        isPrivateMode ? 'Type a private question for the teacher and press Enter' :
         'Type your message and press Enter to send'
       )
     )
@@ -494,9 +720,53 @@ const rl = readline.createInterface({
   prompt: '> '
 });
 
+// Try again after a growing delay, with some jitter so a whole class does not
+// reconnect at the same moment after the educator's server comes back
+function scheduleReconnect() {
+  if (!autoReconnect || reconnectTimer) return;
+  const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_DELAY_MS * 2 ** reconnectAttempt) * (0.8 + Math.random() * 0.4);
+  reconnectAttempt++;
+  reconnectAt = Date.now() + delay;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+  updateStatus(status);
+}
+
+// Ping the educator at the interval they sent in welcome, and drop a connection
+// that stopped answering so the automatic reconnection can take over
+function startHeartbeat(settings) {
+  stopHeartbeat();
+  lastHeartbeatAck = Date.now();
+  heartbeatTimer = setInterval(() => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (Date.now() - lastHeartbeatAck > settings.timeoutMs) {
+      addMessage('The educator stopped responding', 'system');
+      ws.terminate();
+      return;
+    }
+    ws.send(JSON.stringify({ type: 'heartbeat', data: { t: Date.now() } }));
+  }, settings.intervalMs);
+}
+
+function stopHeartbeat() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
 // Connect to WebSocket server
 function connect() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  reconnectAt = null;
+
   // Close existing connection if any
+  stopHeartbeat();
   if (ws) {
     ws.removeAllListeners();
     if (ws.readyState !== WebSocket.CLOSED) {
@@ -506,14 +776,20 @@ function connect() {
   }
 
   updateStatus('Connecting...');
-  addMessage(`Connecting to educator at ${educatorIP}:${PORT}...`, 'system');
+  addMessage(reconnectAttempt > 0
+    ? `Reconnecting to educator at ${educatorIP}:${PORT} (attempt ${reconnectAttempt})...`
+    : `Connecting to educator at ${educatorIP}:${PORT}...`, 'system');
 
   try {
     ws = new WebSocket(wsUrl);
+    let opened = false;
 
     ws.on('open', () => {
+      opened = true;
+      reconnectAttempt = 0;
       updateStatus('Connected');
       addMessage('Connected to educator!', 'system');
+      ws.send(JSON.stringify({ type: 'hello', data: { name: learnerName, roll: learnerRoll, code: joinCode, resumeToken: resumeToken } }));
       rl.prompt();
     });
 
@@ -522,26 +798,128 @@ function connect() {
         const message = JSON.parse(data.toString());
         if (message.type === 'message') {
           addMessage(message.data, 'educator');
+        } else if (message.type === 'heartbeat_ack') {
+          lastHeartbeatAck = Date.now();
+        } else if (message.type === 'welcome') {
+          resumeToken = message.data.resumeToken || null;
+          isMuted = !!message.data.muted;
+          if (message.data.heartbeat) {
+            startHeartbeat(message.data.heartbeat);
+          }
+          // A resumed learner gets their quiz and doubt prompt sent again, anything
+          // else shown from before the drop is out of date
+          clearQuiz();
+          clearDoubt();
+          setDoubtBoard(null);
+          const who = message.data.name || `Learner ${message.data.learnerId}`;
+          addMessage(message.data.resumed
+            ? `Rejoined class as ${who}, your progress was restored`
+            : `Joined class as ${who}${message.data.roll ? ` (roll ${message.data.roll})` : ''}`, 'system');
+        } else if (message.type === 'hello_rejected') {
+          // Trying again would be rejected the same way
+          autoReconnect = false;
+          addMessage(`Educator rejected the connection: ${message.data.reason}`, 'system');
+          if (!resumeToken) {
+            addMessage('Check the join code on the educator\'s screen and start again with --code <code>', 'system');
+          }
         } else if (message.type === 'quiz') {
           // Display quiz in special component
           setQuiz(message.data);
-          quizHint = null; // Clear previous hint when new quiz arrives
+          quizHints = []; // Clear previous hints when new quiz arrives
           isGeneratingHint = false; // Clear generating state
           answerFeedback = null; // Clear previous feedback
           clearDoubt(); // Clear doubt if active
+          setResolvedDoubt(null);
+          if (isPrivateMode) {
+            // Typed answers should reach the quiz, not the private thread
+            setPrivateMode(false);
+            addMessage('Private mode off: answer the quiz, then type /private to go back', 'system');
+          }
           addMessage('New quiz received!', 'system');
+        } else if (message.type === 'hint') {
+          // Hints are generated by the educator's server
+          if (currentQuiz && message.data.quizId === currentQuiz.id) {
+            const hint = message.data;
+            setGeneratingHint(false);
+            hintExpanded = true; // Auto-expand when a hint arrives
+            addQuizHint(hint);
+            addMessage(`Hint ${hint.level}/${hint.maxLevel} received${hint.penalty > 0 ? ` - a correct answer now scores ${100 - hint.penalty}%` : ''}`, 'system');
+          }
+        } else if (message.type === 'hint_rejected') {
+          if (currentQuiz && message.data.quizId === currentQuiz.id) {
+            setGeneratingHint(false);
+            hintsUsedByLearner = Math.max(0, hintsUsedByLearner - 1);
+            addMessage(`No hint: ${message.data.reason}`, 'system');
+          }
         } else if (message.type === 'quiz_feedback') {
-          // Display immediate feedback
-          setAnswerFeedback(message.data);
+          // Display feedback for the current quiz only
+          if (currentQuiz && (!message.data.quizId || message.data.quizId === currentQuiz.id)) {
+            setAnswerFeedback(message.data);
+          }
+        } else if (message.type === 'quiz_explanation') {
+          // Explanations follow the feedback once the educator's server has generated them
+          if (currentQuiz && answerFeedback && message.data.quizId === currentQuiz.id) {
+            setAnswerFeedback({ ...answerFeedback, explanation: message.data.explanation });
+          }
+        } else if (message.type === 'quiz_results') {
+          // Sent to everyone when the educator reveals the answers
+          if (currentQuiz && message.data.quizId === currentQuiz.id) {
+            setClassResults(message.data);
+            addMessage(`Class results are in. Correct answer: ${message.data.correctAnswer}`, 'system');
+          }
+        } else if (message.type === 'quiz_closed') {
+          if (currentQuiz && currentQuiz.id === message.data.quizId && !currentQuiz.closed) {
+            closeCurrentQuiz(message.data.quizId, message.data.reason);
+            if (!answerFeedback) {
+              addMessage(`${message.data.reason}: the quiz is closed`, 'system');
+            }
+          }
+        } else if (message.type === 'quiz_answer_rejected') {
+          closeCurrentQuiz(message.data.quizId, message.data.reason);
+          addMessage(`Answer not accepted: ${message.data.reason}`, 'system');
+        } else if (message.type === 'quiz_set_complete') {
+          const result = message.data;
+          const points = result.points !== undefined && result.points !== result.correct ? ` (${result.points} points after hint penalties)` : '';
+          addMessage(`Quiz set "${result.topic}" complete! Your score: ${result.correct}/${result.total}${points}`, 'system');
         } else if (message.type === 'doubt') {
           // Display doubt input component
           if (message.data && message.data.active) {
-            setDoubt(true);
+            // After a reconnection the prompt is skipped if our doubt was already received
+            setDoubt(!message.data.submitted);
+            setDoubtBoard([]);
+            setResolvedDoubt(null);
+            setPrivateMode(false);
             clearQuiz(); // Clear quiz if active
-            addMessage('Doubt collection started. Type your doubt and press Enter.', 'system');
+            addMessage(message.data.submitted
+              ? 'Doubt collection is running. Your doubt was received.'
+              : 'Doubt collection started. Type your doubt and press Enter.', 'system');
           } else {
             setDoubt(false);
+            setDoubtBoard(null);
+          }
+        } else if (message.type === 'doubt_board') {
+          setDoubtBoard(message.data.doubts);
+        } else if (message.type === 'doubt_upvote_rejected') {
+          addMessage(`Upvote not counted: ${message.data.reason}`, 'system');
+        } else if (message.type === 'moderation') {
+          const action = message.data.action;
+          if (action === 'kick' || action === 'block') {
+            // Reconnecting on our own would undo the educator's decision
+            autoReconnect = false;
+            resumeToken = null;
+          }
+          if (action === 'mute' || action === 'unmute') {
+            isMuted = action === 'mute';
           }
+          addMessage(message.data.message, 'system');
+        } else if (message.type === 'private_message') {
+          addPrivateMessage('educator', message.data.text, message.data.timestamp);
+          addMessage('New private message from the teacher', 'system');
+        } else if (message.type === 'message_rejected') {
+          addMessage(`Message not sent: ${message.data.reason}`, 'system');
+        } else if (message.type === 'doubt_resolved') {
+          setResolvedDoubt(message.data);
+          addMessage(`The educator answered doubt ${message.data.number}`, 'system');
         }
       } catch (e) {
         // Legacy: plain text message
@@ -550,8 +928,13 @@ function connect() {
     });
 
     ws.on('close', () => {
+      stopHeartbeat();
       updateStatus('Disconnected');
-      addMessage('Disconnected from educator', 'system');
+      // Failed attempts already reported their connection error
+      if (opened) {
+        addMessage('Disconnected from educator', 'system');
+      }
+      scheduleReconnect();
     });
 
     ws.on('error', (error) => {
@@ -561,6 +944,7 @@ function connect() {
   } catch (error) {
     updateStatus('Error');
     addMessage(`Failed to connect: ${error.message}`, 'system');
+    scheduleReconnect();
   }
 }
 
@@ -577,6 +961,7 @@ rl.on('line', (line) => {
   // Handle reconnect command
   if (inputUpper === 'RECONNECT' || inputUpper === 'R') {
     if (status === 'Disconnected' || status === 'Error') {
+      autoReconnect = true;
       connect();
       rl.prompt();
       return;
@@ -587,6 +972,25 @@ rl.on('line', (line) => {
     }
   }
 
+  // Handle private questions: /private toggles the mode, /private <text> sends one
+  if (inputUpper === '/PRIVATE' || inputUpper.startsWith('/PRIVATE ')) {
+    const text = input.substring(8).trim();
+    if (text) {
+      sendPrivateQuestion(text);
+    } else {
+      setPrivateMode(!isPrivateMode);
+      addMessage(isPrivateMode ? 'Private mode on: your messages go only to the teacher' : 'Private mode off: your messages go to the class', 'system');
+    }
+    rl.prompt();
+    return;
+  }
+
+  if (isPrivateMode && !input.startsWith('/')) {
+    sendPrivateQuestion(input);
+    rl.prompt();
+    return;
+  }
+
   // Handle hint command
   if (inputUpper === '/HINT' || inputUpper === 'HINT') {
     if (!currentQuiz) {
@@ -594,8 +998,13 @@ rl.on('line', (line) => {
       rl.prompt();
       return;
     }
-    if (quizHint) {
-      toggleHint();
+    if (answerFeedback) {
+      addMessage('You have already answered this quiz', 'system');
+      rl.prompt();
+      return;
+    }
+    if (quizHints.length >= getMaxHintLevel(currentQuiz)) {
+      addMessage(quizHints.length > 0 ? 'All hints have been used' : 'No hints for this quiz', 'system');
       rl.prompt();
       return;
     }
@@ -605,39 +1014,43 @@ rl.on('line', (line) => {
       return;
     }
     
-    setGeneratingHint(true);
-    hintsUsedByLearner++;
-    
-    // Notify server about hint request
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ type: 'hint_request', data: {} }));
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      addMessage('Not connected to educator', 'system');
+      rl.prompt();
+      return;
     }
     
-    generateHint(currentQuiz.question)
-      .then(hint => {
-        setGeneratingHint(false);
-        setQuizHint(hint);
-        hintExpanded = true; // Auto-expand when hint is first generated
-        if (updateHintCallback) {
-          updateHintCallback();
-        }
-        addMessage('Hint generated', 'system');
-      })
-      .catch(error => {
-        setGeneratingHint(false);
-        addMessage(`Error generating hint: ${error.message}`, 'system');
-      });
+    // The educator's server generates the hint and replies with a hint frame
+    setGeneratingHint(true);
+    hintsUsedByLearner++;
+    ws.send(JSON.stringify({ type: 'hint_request', data: { quizId: currentQuiz.id } }));
     rl.prompt();
     return;
   }
 
   // Handle toggle hint command
-  if (inputUpper === 'TOGGLE' && currentQuiz && quizHint) {
+  if (inputUpper === 'TOGGLE' && currentQuiz && quizHints.length > 0) {
     toggleHint();
     rl.prompt();
     return;
   }
 
+  // Handle doubt upvotes while a doubt board is shown
+  if (inputUpper === '/UPVOTE' || inputUpper.startsWith('/UPVOTE ')) {
+    const doubtId = parseInt(input.substring(7).trim(), 10);
+    if (!doubtBoard) {
+      addMessage('No doubt collection running', 'system');
+    } else if (!doubtBoard.some(d => d.id === doubtId)) {
+      addMessage('Usage: /upvote <number>, using a number from the class doubts', 'system');
+    } else if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'doubt_upvote', data: { doubtId: doubtId } }));
+    } else {
+      addMessage('Not connected to educator', 'system');
+    }
+    rl.prompt();
+    return;
+  }
+
   // Handle doubt submission
   if (isDoubtActive && input) {
     if (!input.trim()) {
@@ -667,15 +1080,25 @@ rl.on('line', (line) => {
   }
 
   // Check if there's an active quiz and user is answering
-  if (currentQuiz && (inputUpper === 'A' || inputUpper === 'B' || inputUpper === 'C' || inputUpper === 'D')) {
+  const parsedAnswer = currentQuiz ? parseAnswerInput(currentQuiz, input) : null;
+  if (parsedAnswer) {
     if (answerFeedback) {
       addMessage('You have already answered this quiz', 'system');
       rl.prompt();
       return;
     }
+    if (currentQuiz.closed) {
+      addMessage('This quiz is closed', 'system');
+      rl.prompt();
+      return;
+    }
+    
+    if (parsedAnswer.error) {
+      addMessage(parsedAnswer.error, 'system');
+      rl.prompt();
+      return;
+    }
     
-    const answerIndex = inputUpper.charCodeAt(0) - 65; // A=0, B=1, C=2, D=3
-    const selectedOption = currentQuiz.options[answerIndex];
     const answerTime = Date.now();
     
     // Send answer to educator with timestamp
@@ -683,30 +1106,32 @@ rl.on('line', (line) => {
       ws.send(JSON.stringify({
         type: 'quiz_answer',
         data: {
+          quizId: currentQuiz.id,
           question: currentQuiz.question,
-          answer: inputUpper,
-          answerIndex: answerIndex,
-          selectedOption: selectedOption,
+          answer: parsedAnswer.label,
+          ...parsedAnswer.data,
           timestamp: answerTime,
           quizStartTime: currentQuiz.startTime || answerTime,
           hintsUsed: hintsUsedByLearner
         }
       }));
       
-      addMessage(`Answered: ${inputUpper}. ${selectedOption}`, 'you');
+      addMessage(`Answered: ${parsedAnswer.label}`, 'you');
       // Don't clear quiz yet - wait for feedback
     } else {
       addMessage('Not connected to educator', 'system');
     }
-  } else if (currentQuiz && inputUpper !== 'A' && inputUpper !== 'B' && inputUpper !== 'C' && inputUpper !== 'D' && inputUpper !== '/HINT' && inputUpper !== 'HINT' && inputUpper !== 'TOGGLE') {
+  } else if (currentQuiz && inputUpper !== '/HINT' && inputUpper !== 'HINT' && inputUpper !== 'TOGGLE') {
     // User typed something else while quiz is active
-    addMessage('Please answer the quiz (A, B, C, or D) or type /hint for a hint', 'system');
+    addMessage(`${getAnswerInstructions(currentQuiz)}, or type /hint for a hint`, 'system');
   } else if (isDoubtActive) {
     // Already handled above, but just in case
     // This shouldn't be reached
   } else {
     // Regular message
-    if (ws && ws.readyState === WebSocket.OPEN) {
+    if (isMuted) {
+      addMessage('You are muted by the educator and cannot chat', 'system');
+    } else if (ws && ws.readyState === WebSocket.OPEN) {
       ws.send(JSON.stringify({ type: 'message', data: input }));
       addMessage(input, 'you');
     } else {
@@ -720,6 +1145,7 @@ rl.on('line', (line) => {
 // Quit on Control-C
 rl.on('SIGINT', () => {
   console.log('\nDisconnecting...');
+  autoReconnect = false;
   if (ws) {
     ws.close();
   }
@@ -1,17 +1,97 @@
-// Ollama model configuration for Sahayak
+// Model configuration for Sahayak
+// Names are passed to whichever LLM provider is configured below
+// Override with SAHAYAK_EDUCATOR_MODEL / SAHAYAK_LEARNER_MODEL
 export const OLLAMA_MODELS = {
   // Model used by educator for generating quizzes
   EDUCATOR_MODEL: 'qwen3:1.7b',
   
-  // Model used by learner (for future features)
+  // Model used for learner hints, which are generated on the educator's machine
   LEARNER_MODEL: 'tinyllama'
 };
 
 // Fallback model for command line execution
 export const FALLBACK_MODEL = 'tinyllama';
 
+// LLM provider settings, each can be overridden with an environment variable
+export const LLM_SETTINGS = {
+  // 'ollama', 'openai' (any OpenAI-compatible server such as llama.cpp or LM Studio) or 'mock'
+  PROVIDER: 'ollama', // SAHAYAK_LLM_PROVIDER
+  HOST: 'localhost', // SAHAYAK_LLM_HOST
+  // Leave null for the provider default: 11434 for ollama, 1234 for openai
+  PORT: null, // SAHAYAK_LLM_PORT
+  TIMEOUT_MS: 60000, // SAHAYAK_LLM_TIMEOUT_MS
+  // Bearer token for OpenAI-compatible servers that require one
+  API_KEY: '', // SAHAYAK_LLM_API_KEY
+  // Try `ollama run` when the Ollama API is unreachable
+  CLI_FALLBACK: true,
+  // Limits for the `ollama run` fallback process
+  CLI_TIMEOUT_MS: 120000, // SAHAYAK_LLM_CLI_TIMEOUT_MS
+  CLI_MAX_OUTPUT_BYTES: 1024 * 1024
+};
+
 // Educator server IP address 
 // Set this to your educator's IP address (e.g., '192.168.1.100')
 // Leave empty to require IP as command line argument
 export const EDUCATOR_IP = '';
 
+
+// Hold quiz feedback until the educator types /reveal
+// Can also be enabled per quiz with /quiz [topic] --reveal
+export const HOLD_FEEDBACK_UNTIL_REVEAL = false;
+
+// Extra time (ms) allowed after a quiz deadline for answers still in flight
+export const QUIZ_DEADLINE_GRACE_MS = 1000;
+
+// Directory (relative to the project) where class sessions are saved
+export const SESSION_DIR = 'sessions';
+
+// A session left open by a crash is restored on the next start only if its last event
+// is this recent (ms); an older one, e.g. from last week, is left alone and a new session starts
+export const SESSION_RESTORE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Default directory (relative to the project) for /export files
+export const EXPORT_DIR = 'exports';
+
+// How many times to ask the model for a valid quiz before using a placeholder
+export const QUIZ_GENERATION_ATTEMPTS = 3;
+
+// File (relative to the project) holding the local question bank
+export const QUESTION_BANK_FILE = 'question-bank.json';
+
+// Use a stored question tagged with the topic before asking the model
+// Skip the bank for one quiz with /quiz [topic] --new
+export const USE_QUESTION_BANK = true;
+
+// Number of hint levels per quiz, from a vague nudge to a strong clue
+export const HINT_LEVELS = 3;
+
+// Percent taken off a correct answer for each hint level unlocked (one value per level)
+// Change during class with /hintpenalty
+export const HINT_PENALTIES = [10, 15, 25];
+
+// Upper bounds (seconds) of the response time histogram buckets in the statistics panel
+// Timed quizzes split their time limit into equal buckets instead
+export const RESPONSE_TIME_BUCKETS = [5, 10, 20, 30, 60];
+
+// Learner reconnection after a dropped connection: the delay doubles after every
+// failed attempt, from the first delay up to the maximum (ms)
+export const RECONNECT_DELAY_MS = 1000;
+export const RECONNECT_MAX_DELAY_MS = 30000;
+
+// Heartbeats: the server pings every learner and every learner pings the server at
+// this interval, and either side drops a connection it has not heard from within
+// the timeout (ms). Learners get the educator's values when they join
+export const HEARTBEAT_INTERVAL_MS = 10000;
+export const HEARTBEAT_TIMEOUT_MS = 30000;
+
+// A connected learner who has not chatted, answered or asked anything for this
+// long shows as idle in the educator's roster (ms)
+export const PRESENCE_IDLE_MS = 120000;
+
+// Learners need the join code shown on the educator's screen to enter the class
+// Change it with /code rotate, stop new learners with /lock
+export const JOIN_CODE_LENGTH = 6;
+
+// Wrong join codes allowed from one address before it has to wait (ms)
+export const JOIN_ATTEMPT_LIMIT = 5;
+export const JOIN_BLOCK_MS = 60000;
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import { getQuizType, formatCorrectKey } from './quizTypes.js';
+
+// Build per-learner quiz results and doubt summaries from session events
+export function buildResults(events) {
+  const quizzes = [];
+  const results = [];
+  const doubtRounds = [];
+  const present = new Map(); // learner id -> { name, roll }
+  let current = null;
+
+  // Learners who were in class for a quiz but never answered get an empty row
+  function finishQuiz(entry) {
+    entry.expected.forEach((learner, learnerId) => {
+      if (!entry.answered.has(learnerId)) {
+        results.push({
+          quizId: entry.quiz.id,
+          question: entry.quiz.question,
+          learnerName: learner.name,
+          roll: learner.roll,
+          answer: '',
+          correctAnswer: entry.correctAnswer,
+          isCorrect: false,
+          responseTime: null,
+          hintsUsed: entry.hints[learnerId] || 0,
+          hintPenalty: null,
+          score: null,
+          answeredAt: null
+        });
+      }
+    });
+  }
+
+  events.forEach(e => {
+    const data = e.data || {};
+    if (e.type === 'learner_join') {
+      present.set(data.learnerId, { name: data.name || `Learner ${data.learnerId}`, roll: data.roll || '' });
+    } else if (e.type === 'learner_leave') {
+      present.delete(data.learnerId);
+    } else if (e.type === 'session_resume') {
+      // Nobody is connected right after a restart
+      present.clear();
+    } else if (e.type === 'quiz_start') {
+      if (current) finishQuiz(current);
+      const quiz = data.quiz;
+      current = {
+        quiz: quiz,
+        correctAnswer: formatCorrectKey(quiz),
+        expected: new Map(present),
+        answered: new Set(),
+        hints: {}
+      };
+      quizzes.push({
+        quizId: quiz.id,
+        question: quiz.question,
+        type: getQuizType(quiz),
+        options: quiz.options || [],
+        correctAnswer: current.correctAnswer,
+        startedAt: quiz.startTime
+      });
+    } else if (e.type === 'hint_request' && current && data.quizId === current.quiz.id) {
+      current.hints[data.learnerId] = (current.hints[data.learnerId] || 0) + 1;
+    } else if (e.type === 'quiz_answer' && current && data.quizId === current.quiz.id) {
+      const a = data.answer;
+      current.answered.add(a.learnerId);
+      if (!current.expected.has(a.learnerId)) {
+        current.expected.set(a.learnerId, { name: a.learnerName, roll: a.roll || '' });
+      }
+      results.push({
+        quizId: current.quiz.id,
+        question: current.quiz.question,
+        learnerName: a.learnerName,
+        roll: a.roll || '',
+        answer: a.answer,
+        correctAnswer: current.correctAnswer,
+        isCorrect: a.isCorrect,
+        // Left empty when the answer has no usable response time
+        responseTime: Number.isFinite(a.responseTime) ? Math.round(a.responseTime / 100) / 10 : null,
+        hintsUsed: a.hintsUsed || 0,
+        hintPenalty: a.hintPenalty || 0,
+        // Answers saved before hint penalties existed have no score
+        score: typeof a.score === 'number' ? a.score : (a.isCorrect ? 100 : 0),
+        answeredAt: a.timestamp
+      });
+    } else if (e.type === 'doubts_processed') {
+      doubtRounds.push({ processedAt: e.t, topDoubts: data.topDoubts || [], answers: {} });
+    } else if (e.type === 'doubt_resolved' && doubtRounds.length > 0) {
+      // Answers belong to the latest processed round, by doubt number
+      doubtRounds[doubtRounds.length - 1].answers[data.number] = data.answer;
+    }
+  });
+  if (current) finishQuiz(current);
+
+  const doubts = [];
+  doubtRounds.forEach((round, i) => {
+    round.topDoubts.forEach((d, rank) => {
+      doubts.push({
+        round: i + 1,
+        rank: rank + 1,
+        summary: d.summary,
+        count: d.count,
+        votes: d.votes || 0,
+        details: d.details,
+        askedBy: (d.askedBy || []).join('; '),
+        answer: round.answers[rank + 1] || '',
+        processedAt: round.processedAt
+      });
+    });
+  });
+
+  return { quizzes, results, doubts };
+}
+
+// Quote a value for CSV when it contains separators, quotes or newlines
+// Text starting with = + - @ is prefixed with ' so spreadsheets do not run it as a
+// formula, as names and answers come from learners; plain numbers such as -5 are kept
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turn a list of objects into CSV using the given [header, key] columns
+function toCSV(rows, columns) {
+  const lines = [columns.map(c => c[0]).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(c => csvValue(row[c[1]])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+const RESULT_COLUMNS = [
+  ['quiz_id', 'quizId'],
+  ['question', 'question'],
+  ['learner_name', 'learnerName'],
+  ['roll_number', 'roll'],
+  ['answer', 'answer'],
+  ['correct_answer', 'correctAnswer'],
+  ['is_correct', 'isCorrect'],
+  ['response_time_s', 'responseTime'],
+  ['hints_used', 'hintsUsed'],
+  ['hint_penalty_percent', 'hintPenalty'],
+  ['score_percent', 'score'],
+  ['answered_at', 'answeredAtIso']
+];
+
+const DOUBT_COLUMNS = [
+  ['round', 'round'],
+  ['rank', 'rank'],
+  ['summary', 'summary'],
+  ['student_count', 'count'],
+  ['upvotes', 'votes'],
+  ['details', 'details'],
+  ['asked_by', 'askedBy'],
+  ['answer', 'answer'],
+  ['processed_at', 'processedAtIso']
+];
+
+// Write the session's results to dir as CSV or JSON, returns the written file paths
+export function exportResults(format, dir, sessionId, events) {
+  const { quizzes, results, doubts } = buildResults(events);
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, `sahayak-${sessionId}`);
+
+  if (format === 'json') {
+    const file = `${base}.json`;
+    fs.writeFileSync(file, JSON.stringify({
+      sessionId: sessionId,
+      exportedAt: new Date().toISOString(),
+      quizzes: quizzes,
+      results: results,
+      doubts: doubts
+    }, null, 2));
+    return [file];
+  }
+
+  const iso = t => (t ? new Date(t).toISOString() : '');
+  const resultsFile = `${base}-results.csv`;
+  const doubtsFile = `${base}-doubts.csv`;
+  fs.writeFileSync(resultsFile, toCSV(results.map(r => ({ ...r, answeredAtIso: iso(r.answeredAt) })), RESULT_COLUMNS));
+  fs.writeFileSync(doubtsFile, toCSV(doubts.map(d => ({ ...d, processedAtIso: iso(d.processedAt) })), DOUBT_COLUMNS));
+  return [resultsFile, doubtsFile];
+}
@@ -0,0 +1,64 @@
+// Tests for building and writing session exports
+// Run with: npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildResults, exportResults } from './exporter.js';
+
+const QUIZ = { id: 1, question: 'What is 2 + 2?', options: ['3', '4', '5', '6'], correct: 1, startTime: 1000 };
+
+// Session events for one quiz answered by the given learners
+function quizEvents(answers) {
+  const events = [];
+  answers.forEach((a, i) => {
+    events.push({ t: 500, type: 'learner_join', data: { learnerId: i + 1, name: a.learnerName, roll: a.roll } });
+  });
+  events.push({ t: 1000, type: 'quiz_start', data: { quiz: QUIZ } });
+  answers.forEach((a, i) => {
+    events.push({ t: 2000, type: 'quiz_answer', data: { quizId: 1, answer: { learnerId: i + 1, isCorrect: false, timestamp: 2000, ...a } } });
+  });
+  return events;
+}
+
+// Export events as CSV into a temporary directory and return the results rows
+function exportResultRows(t, events) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sahayak-export-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const [resultsFile] = exportResults('csv', dir, 'test', events);
+  return fs.readFileSync(resultsFile, 'utf8').trim().split('\n');
+}
+
+test('builds a row per answer and an empty row for learners who did not answer', () => {
+  const events = quizEvents([{ learnerName: 'Asha', roll: '7', answer: 'B', isCorrect: true, responseTime: 4321, score: 100 }]);
+  events.splice(1, 0, { t: 600, type: 'learner_join', data: { learnerId: 5, name: 'Bala', roll: '8' } });
+  const { results } = buildResults(events);
+  assert.equal(results.length, 2);
+  assert.deepEqual(
+    { name: results[0].learnerName, answer: results[0].answer, correct: results[0].correctAnswer, time: results[0].responseTime, score: results[0].score },
+    { name: 'Asha', answer: 'B', correct: 'B', time: 4.3, score: 100 }
+  );
+  assert.deepEqual({ name: results[1].learnerName, answer: results[1].answer, score: results[1].score }, { name: 'Bala', answer: '', score: null });
+});
+
+test('leaves a missing response time empty', (t) => {
+  const rows = exportResultRows(t, quizEvents([{ learnerName: 'Asha', roll: '7', answer: 'A' }]));
+  const header = rows[0].split(',');
+  const cells = rows[1].split(',');
+  assert.equal(cells[header.indexOf('response_time_s')], '');
+});
+
+test('neutralizes cells that a spreadsheet would run as formulas', (t) => {
+  const rows = exportResultRows(t, quizEvents([
+    { learnerName: '=HYPERLINK("http://example.com","x")', roll: '+SUM(1)', answer: '@SUM(A1)' },
+    { learnerName: '-2+3', roll: '\tTab', answer: '-5' }
+  ]));
+  assert.equal(rows[1], `1,What is 2 + 2?,"'=HYPERLINK(""http://example.com"",""x"")",'+SUM(1),'@SUM(A1),B,false,,0,0,0,1970-01-01T00:00:02.000Z`);
+  const cells = rows[2].split(',');
+  assert.equal(cells[2], "'-2+3");
+  assert.equal(cells[3], "'\tTab");
+  // Plain numbers are not formulas, so numeric answers keep their sign
+  assert.equal(cells[4], '-5');
+});
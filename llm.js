@@ -0,0 +1,302 @@
+import http from 'http';
+import { spawn } from 'child_process';
+import { OLLAMA_MODELS, FALLBACK_MODEL, LLM_SETTINGS } from './constants.js';
+
+// Every provider exposes the same interface:
+//   provider.generate(prompt, { model, task, context }) -> Promise<string>
+// "task" ('quiz', 'doubts', 'doubt_answer', 'hint', 'explanation', 'grade') and "context" are only used by the mock provider
+// to build deterministic responses.
+// createProvider(config, { onWarning }) reports recoverable problems, such as falling
+// back to the ollama CLI, through onWarning(message) so callers can log them.
+
+const DEFAULT_PORTS = {
+  ollama: 11434,
+  openai: 1234
+};
+
+// Resolve provider settings from constants.js, overridden by environment variables
+export function getLLMConfig(env = process.env) {
+  const provider = String(env.SAHAYAK_LLM_PROVIDER || LLM_SETTINGS.PROVIDER).toLowerCase();
+  return {
+    provider: provider,
+    host: env.SAHAYAK_LLM_HOST || LLM_SETTINGS.HOST,
+    port: parseInt(env.SAHAYAK_LLM_PORT, 10) || LLM_SETTINGS.PORT || DEFAULT_PORTS[provider],
+    timeoutMs: parseInt(env.SAHAYAK_LLM_TIMEOUT_MS, 10) || LLM_SETTINGS.TIMEOUT_MS,
+    apiKey: env.SAHAYAK_LLM_API_KEY || LLM_SETTINGS.API_KEY,
+    educatorModel: env.SAHAYAK_EDUCATOR_MODEL || OLLAMA_MODELS.EDUCATOR_MODEL,
+    learnerModel: env.SAHAYAK_LEARNER_MODEL || OLLAMA_MODELS.LEARNER_MODEL,
+    fallbackModel: env.SAHAYAK_FALLBACK_MODEL || FALLBACK_MODEL,
+    cliFallback: LLM_SETTINGS.CLI_FALLBACK,
+    cliTimeoutMs: parseInt(env.SAHAYAK_LLM_CLI_TIMEOUT_MS, 10) || LLM_SETTINGS.CLI_TIMEOUT_MS,
+    cliMaxOutputBytes: LLM_SETTINGS.CLI_MAX_OUTPUT_BYTES
+  };
+}
+
+// Short description of the provider for status messages
+export function describeLLMConfig(config) {
+  if (config.provider === 'mock') return 'mock provider';
+  return `${config.provider} at ${config.host}:${config.port} (${config.educatorModel})`;
+}
+
+// POST a JSON body and resolve with the parsed JSON response
+function postJSON(config, path, body) {
+  return new Promise((resolve, reject) => {
+    const postData = JSON.stringify(body);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(postData)
+    };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const req = http.request({
+      hostname: config.host,
+      port: config.port,
+      path: path,
+      method: 'POST',
+      headers: headers,
+      timeout: config.timeoutMs
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          reject(new Error(`${config.provider} returned HTTP ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`${config.provider} returned invalid JSON`));
+        }
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`${config.provider} did not respond within ${config.timeoutMs}ms`));
+    });
+    req.on('error', reject);
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+// Fallback to the Ollama command line
+// The prompt goes through stdin and no shell is involved, so nothing in it is executed
+function runOllamaCli(config, prompt) {
+  return new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const child = spawn('ollama', ['run', config.fallbackModel], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+
+    function finish(error, output) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        child.kill();
+        reject(error);
+      } else {
+        resolve(output);
+      }
+    }
+
+    const timer = setTimeout(() => {
+      finish(new Error(`ollama CLI did not finish within ${config.cliTimeoutMs}ms`));
+    }, config.cliTimeoutMs);
+
+    // Decode as a stream, so a character split across two chunks (common in Hindi
+    // and other non-Latin output) is not turned into U+FFFD
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (Buffer.byteLength(stdout) > config.cliMaxOutputBytes) {
+        finish(new Error(`ollama CLI output exceeded ${config.cliMaxOutputBytes} bytes`));
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      // Only the start of stderr is needed for error messages
+      if (stderr.length < 2000) {
+        stderr += chunk;
+      }
+    });
+    child.on('error', (error) => {
+      finish(error.code === 'ENOENT'
+        ? new Error('ollama CLI not found')
+        : new Error(`ollama CLI failed: ${error.message}`));
+    });
+    child.on('close', (code) => {
+      if (code === 0) {
+        finish(null, stdout);
+      } else {
+        const detail = stderr.trim().split('\n').pop();
+        finish(new Error(`ollama CLI exited with code ${code}${detail ? `: ${detail}` : ''}`));
+      }
+    });
+
+    // Writing fails with EPIPE if the process already exited; the close handler reports it
+    child.stdin.on('error', () => {});
+    child.stdin.end(prompt);
+  });
+}
+
+// Ollama HTTP API, falling back to the ollama CLI
+function createOllamaProvider(config, hooks) {
+  return {
+    name: 'ollama',
+    async generate(prompt, options = {}) {
+      const model = options.model || config.educatorModel;
+      try {
+        const response = await postJSON(config, '/api/generate', {
+          model: model,
+          prompt: prompt,
+          stream: false
+        });
+        return response.response || '';
+      } catch (apiError) {
+        if (!config.cliFallback) throw apiError;
+        hooks.onWarning(`Ollama API failed (${apiError.message}), trying ollama CLI`);
+        try {
+          return await runOllamaCli(config, prompt);
+        } catch (cliError) {
+          throw new Error(`Ollama API failed (${apiError.message}) and CLI fallback failed (${cliError.message})`);
+        }
+      }
+    }
+  };
+}
+
+// Any OpenAI-compatible server, e.g. llama.cpp server or LM Studio
+function createOpenAIProvider(config) {
+  return {
+    name: 'openai',
+    async generate(prompt, options = {}) {
+      const response = await postJSON(config, '/v1/chat/completions', {
+        model: options.model || config.educatorModel,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false
+      });
+      const choice = response.choices && response.choices[0];
+      return (choice && choice.message && choice.message.content) || '';
+    }
+  };
+}
+
+// Deterministic responses for tests and demos without a model
+function createMockProvider() {
+  return {
+    name: 'mock',
+    async generate(prompt, options = {}) {
+      const context = options.context || {};
+      if (options.task === 'quiz') {
+        const topic = context.topic || 'the topic';
+        const n = (context.previousQuestions || []).length + 1;
+        if (context.type === 'truefalse') {
+          return JSON.stringify({
+            type: 'truefalse',
+            question: `Mock statement ${n}: ${topic} is studied in science.`,
+            correct: true,
+            explanation: `${topic} is a science topic.`
+          });
+        }
+        if (context.type === 'multi') {
+          return JSON.stringify({
+            type: 'multi',
+            question: `Mock question ${n}: which statements about ${topic} are correct? Select all that apply.`,
+            options: [
+              `The first correct statement about ${topic}`,
+              `A common misconception about ${topic}`,
+              `The second correct statement about ${topic}`,
+              `None of the above`
+            ],
+            correct: [0, 2],
+            explanation: `Both accepted statements about ${topic} are right.`
+          });
+        }
+        if (context.type === 'numeric') {
+          return JSON.stringify({
+            type: 'numeric',
+            question: `Mock question ${n}: how many letters are in the word "${topic}"?`,
+            answer: topic.length,
+            tolerance: 0,
+            unit: 'letters',
+            explanation: `Count the letters of "${topic}".`
+          });
+        }
+        if (context.type === 'text') {
+          return JSON.stringify({
+            type: 'text',
+            question: `Mock question ${n}: name the topic of this quiz.`,
+            answer: topic,
+            keywords: [topic],
+            explanation: `The quiz is about ${topic}.`
+          });
+        }
+        return JSON.stringify({
+          question: `Mock question ${n}: which statement about ${topic} is correct?`,
+          options: [
+            `The correct statement about ${topic}`,
+            `A common misconception about ${topic}`,
+            `An unrelated fact about ${topic}`,
+            `None of the above`
+          ],
+          correct: 0,
+          explanation: `This is the accepted statement about ${topic}.`
+        });
+      }
+      if (options.task === 'explanation') {
+        const answer = context.answer || {};
+        return answer.isCorrect
+          ? 'Your answer is right because it matches the accepted explanation.'
+          : 'Your answer is a distractor; the correct answer matches the accepted explanation.';
+      }
+      if (options.task === 'grade') {
+        const quiz = context.quiz || { answer: '' };
+        return String(context.text || '').toLowerCase().includes(String(quiz.answer).toLowerCase()) ? 'YES' : 'NO';
+      }
+      if (options.task === 'doubts') {
+        const doubts = context.doubts || [];
+        return JSON.stringify({
+          topDoubts: doubts.slice(0, 5).map((d, i) => ({
+            summary: d.text,
+            count: 1,
+            details: d.text,
+            doubts: [i + 1]
+          }))
+        });
+      }
+      if (options.task === 'doubt_answer') {
+        const doubt = context.doubt || { summary: 'this doubt' };
+        return `About "${doubt.summary}": start from the key idea of the lesson and apply it step by step.`;
+      }
+      if (options.task === 'hint') {
+        const hints = [
+          'What do you already know about the key terms in this question?',
+          'Which of the options fits best with what you know about the key terms?',
+          'Rule out the options that are unrelated or too general, then compare what is left.'
+        ];
+        return hints[Math.min(context.level || 1, hints.length) - 1];
+      }
+      return 'Mock response';
+    }
+  };
+}
+
+// Create the provider selected in the config
+export function createProvider(config = getLLMConfig(), hooks = {}) {
+  hooks = { onWarning: () => {}, ...hooks };
+  if (config.provider === 'ollama') return createOllamaProvider(config, hooks);
+  if (config.provider === 'openai') return createOpenAIProvider(config);
+  if (config.provider === 'mock') return createMockProvider(config);
+  throw new Error(`Unknown LLM provider "${config.provider}" (use ollama, openai or mock)`);
+}
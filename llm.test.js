@@ -0,0 +1,59 @@
+// Tests for the ollama CLI fallback, with a fake ollama command
+// Run with: npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { getLLMConfig, createProvider } from './llm.js';
+
+// A port nobody listens on, so the Ollama API fails and the CLI is used
+function getClosedPort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const port = probe.address().port;
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Put an "ollama" script first on the PATH that runs the given Node.js code
+function installFakeOllama(t, source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sahayak-ollama-'));
+  const script = path.join(dir, 'ollama');
+  fs.writeFileSync(script, `#!${process.execPath}\n${source}\n`, { mode: 0o755 });
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${originalPath}`;
+  t.after(() => {
+    process.env.PATH = originalPath;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+test('decodes CLI output with characters split across chunks', { skip: process.platform === 'win32' }, async (t) => {
+  // "नमस्ते" written in two chunks that split its first character
+  installFakeOllama(t, `
+    const bytes = Buffer.from('नमस्ते', 'utf8');
+    process.stdout.write(bytes.subarray(0, 1));
+    setTimeout(() => process.stdout.write(bytes.subarray(1)), 100);
+  `);
+  const config = getLLMConfig({ SAHAYAK_LLM_PROVIDER: 'ollama', SAHAYAK_LLM_HOST: '127.0.0.1', SAHAYAK_LLM_PORT: String(await getClosedPort()) });
+  const warnings = [];
+  const provider = createProvider(config, { onWarning: text => warnings.push(text) });
+  assert.equal(await provider.generate('Say hello in Hindi'), 'नमस्ते');
+  assert.ok(warnings.some(w => w.includes('trying ollama CLI')));
+});
+
+test('reports the last stderr line when the CLI fails', { skip: process.platform === 'win32' }, async (t) => {
+  installFakeOllama(t, `
+    process.stderr.write('pulling manifest\\nError: model "फ़ॉलबैक" not found\\n');
+    process.exit(1);
+  `);
+  const config = getLLMConfig({ SAHAYAK_LLM_PROVIDER: 'ollama', SAHAYAK_LLM_HOST: '127.0.0.1', SAHAYAK_LLM_PORT: String(await getClosedPort()) });
+  const provider = createProvider(config, { onWarning: () => {} });
+  await assert.rejects(provider.generate('Hello'), /CLI fallback failed \(ollama CLI exited with code 1: Error: model "फ़ॉलबैक" not found\)/);
+});
@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { QUESTION_BANK_FILE } from './constants.js';
+import { validateQuiz } from './quizValidator.js';
+import { getQuizType } from './quizTypes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The bank is one JSON file: { "nextId": <n>, "questions": [entry, ...] }
+// entry: { id, question, type?, <answer fields of the type>, explanation?, topic, tags, difficulty, createdAt, usage: [{ usedAt, sessionId }] }
+// The answer fields are the ones validateQuiz keeps, e.g. options and correct for multiple choice
+const bankFile = path.resolve(__dirname, QUESTION_BANK_FILE);
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+let bank = null;
+
+// Tags are compared case-insensitively
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase();
+}
+
+// Same question text means the same question, whatever the spacing or case
+function questionKey(question) {
+  return String(question).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Read the bank from disk on first use
+function getBank() {
+  if (!bank) {
+    bank = fs.existsSync(bankFile)
+      ? JSON.parse(fs.readFileSync(bankFile, 'utf8'))
+      : { nextId: 1, questions: [] };
+  }
+  return bank;
+}
+
+// Write the bank back to disk
+function saveBank() {
+  fs.writeFileSync(bankFile, JSON.stringify(bank, null, 2));
+}
+
+// Find a stored question by id, e.g. "b3" or "3"
+export function getBankQuestion(id) {
+  const wanted = String(id).toLowerCase().replace(/^b?/, 'b');
+  return getBank().questions.find(q => q.id === wanted) || null;
+}
+
+// Find a stored question with the same text
+function findByQuestion(question) {
+  const key = questionKey(question);
+  return getBank().questions.find(q => questionKey(q.question) === key) || null;
+}
+
+// Question and answer fields of a validated quiz, without session details like its id
+function quizFields(quiz) {
+  const { quiz: clean } = validateQuiz(quiz);
+  const fields = clean || { question: quiz.question, options: quiz.options, correct: quiz.correct };
+  delete fields.explanation;
+  return JSON.parse(JSON.stringify(fields));
+}
+
+// Store an approved quiz, returns { entry, added }
+// A question that is already stored gets the new tags and difficulty instead
+export function addToBank(quiz, info = {}) {
+  const tags = [info.topic, ...(info.tags || [])].filter(Boolean).map(normalizeTag);
+  const existing = findByQuestion(quiz.question);
+  if (existing) {
+    tags.forEach(tag => {
+      if (!existing.tags.includes(tag)) existing.tags.push(tag);
+    });
+    if (info.difficulty) existing.difficulty = info.difficulty;
+    if (quiz.explanation && !existing.explanation) existing.explanation = quiz.explanation;
+    saveBank();
+    return { entry: existing, added: false };
+  }
+
+  const data = getBank();
+  const entry = {
+    id: `b${data.nextId++}`,
+    ...quizFields(quiz),
+    topic: info.topic || '',
+    tags: [...new Set(tags)],
+    difficulty: info.difficulty || 'medium',
+    createdAt: Date.now(),
+    usage: []
+  };
+  if (quiz.explanation) {
+    entry.explanation = quiz.explanation;
+  }
+  data.questions.push(entry);
+  saveBank();
+  return { entry, added: true };
+}
+
+// Questions whose tags, topic or text contain the search term
+export function searchBank(term) {
+  const wanted = normalizeTag(term);
+  return getBank().questions.filter(q =>
+    q.tags.some(tag => tag.includes(wanted)) ||
+    q.topic.toLowerCase().includes(wanted) ||
+    q.question.toLowerCase().includes(wanted)
+  );
+}
+
+// Least used stored question of the type tagged with the topic, skipping the given question texts
+export function pickFromBank(topic, excludeQuestions = [], type = 'mcq') {
+  const wanted = normalizeTag(topic);
+  const excluded = new Set(excludeQuestions.map(questionKey));
+  const candidates = getBank().questions.filter(q =>
+    q.tags.includes(wanted) && getQuizType(q) === type && !excluded.has(questionKey(q.question))
+  );
+  const lastUsed = q => (q.usage.length > 0 ? q.usage[q.usage.length - 1].usedAt : 0);
+  candidates.sort((a, b) => a.usage.length - b.usage.length || lastUsed(a) - lastUsed(b));
+  return candidates[0] || null;
+}
+
+// Remember that a stored question was sent to the class
+export function recordBankUsage(id, sessionId) {
+  const entry = getBankQuestion(id);
+  if (!entry) return;
+  entry.usage.push({ usedAt: Date.now(), sessionId: sessionId || null });
+  saveBank();
+}
+
+// Number of stored questions
+export function getBankSize() {
+  return getBank().questions.length;
+}
+
+// Write the whole bank to a JSON file, returns the number of questions written
+export function exportBank(file) {
+  const data = getBank();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    questions: data.questions
+  }, null, 2));
+  return data.questions.length;
+}
+
+// Merge questions from a JSON file (an exported bank or a plain list of quizzes)
+// Returns { added, updated, skipped } where skipped lists why entries were rejected
+export function importBank(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(parsed) ? parsed : parsed.questions;
+  if (!Array.isArray(list)) {
+    throw new Error('file must contain a list of questions or { "questions": [...] }');
+  }
+
+  let added = 0;
+  let updated = 0;
+  const skipped = [];
+  list.forEach((item, i) => {
+    const result = validateQuiz(item);
+    if (!result.quiz) {
+      skipped.push(`#${i + 1}: ${result.errors.join('; ')}`);
+      return;
+    }
+    const difficulty = DIFFICULTIES.includes(normalizeTag(item.difficulty || '')) ? normalizeTag(item.difficulty) : null;
+    const { entry, added: isNew } = addToBank(result.quiz, {
+      topic: typeof item.topic === 'string' ? item.topic.trim() : '',
+      tags: Array.isArray(item.tags) ? item.tags : [],
+      difficulty: difficulty
+    });
+    if (isNew && Array.isArray(item.usage)) {
+      entry.usage = item.usage.filter(u => u && typeof u.usedAt === 'number');
+    }
+    if (isNew) {
+      added++;
+    } else {
+      updated++;
+    }
+  });
+  saveBank();
+  return { added, updated, skipped };
+}
@@ -0,0 +1,177 @@
+// Question types and how learner answers to them are read and graded
+//
+//   mcq        options (4), correct: index
+//   truefalse  options ['True', 'False'], correct: index
+//   multi      options (3-6), correct: [indexes], every correct option and nothing else must be chosen
+//   numeric    answer: number, tolerance: number, unit?: string
+//   text       answer: model answer, keywords: [words], grading: 'keywords' | 'llm'
+//
+// Quizzes without a type are multiple choice.
+
+export const QUIZ_TYPES = ['mcq', 'truefalse', 'multi', 'numeric', 'text'];
+
+const TYPE_ALIASES = {
+  mcq: 'mcq',
+  multiple_choice: 'mcq',
+  choice: 'mcq',
+  truefalse: 'truefalse',
+  true_false: 'truefalse',
+  tf: 'truefalse',
+  boolean: 'truefalse',
+  multi: 'multi',
+  multiple_select: 'multi',
+  multiselect: 'multi',
+  checkbox: 'multi',
+  numeric: 'numeric',
+  number: 'numeric',
+  text: 'text',
+  short: 'text',
+  short_answer: 'text',
+  free_text: 'text'
+};
+
+const TYPE_LABELS = {
+  mcq: 'Multiple choice',
+  truefalse: 'True/False',
+  multi: 'Multiple select',
+  numeric: 'Numeric',
+  text: 'Short answer'
+};
+
+// Longest free-text answer accepted from a learner
+const MAX_TEXT_ANSWER = 500;
+
+// Canonical type name for a type written by the educator or the model, or null
+export function normalizeQuizType(value) {
+  if (value === undefined || value === null || value === '') return 'mcq';
+  const key = String(value).trim().toLowerCase().replace(/[\s/-]+/g, '_');
+  return TYPE_ALIASES[key] || null;
+}
+
+// Type of a quiz, defaulting to multiple choice
+export function getQuizType(quiz) {
+  return quiz.type || 'mcq';
+}
+
+// Human readable name of a quiz type
+export function describeQuizType(type) {
+  return TYPE_LABELS[type] || TYPE_LABELS.mcq;
+}
+
+// Types answered by choosing options
+export function isChoiceQuiz(quiz) {
+  return ['mcq', 'truefalse', 'multi'].includes(getQuizType(quiz));
+}
+
+// Letter for an option index, e.g. 2 -> C
+export function optionLetter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+// Lower-case, single-spaced text for comparing free-text answers
+export function normalizeText(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}\s.]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// True when every keyword appears in the answer
+export function matchesKeywords(text, keywords) {
+  const answer = normalizeText(text);
+  return keywords.every(k => answer.includes(normalizeText(k)));
+}
+
+// Option index sent by a learner: a number or a string of digits, anything else is NaN
+function readIndex(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) return parseInt(value, 10);
+  return NaN;
+}
+
+// Read a learner's quiz_answer data into a submission for the quiz's type
+// Returns { submission } or { error }
+export function readSubmission(quiz, data) {
+  if (!data || typeof data !== 'object') return { error: 'invalid answer' };
+  const type = getQuizType(quiz);
+  if (type === 'multi') {
+    const indexes = Array.isArray(data.answerIndexes) ? data.answerIndexes.map(readIndex) : [];
+    const unique = [...new Set(indexes)].sort((a, b) => a - b);
+    if (unique.length === 0 || unique.some(i => !Number.isInteger(i) || i < 0 || i >= quiz.options.length)) {
+      return { error: 'invalid options' };
+    }
+    return { submission: { answerIndexes: unique } };
+  }
+  if (type === 'numeric') {
+    // Only numbers and numeric text, Number() would also read true as 1 and null as 0
+    let value = NaN;
+    if (typeof data.value === 'number') {
+      value = data.value;
+    } else if (typeof data.value === 'string' && data.value.trim()) {
+      value = Number(data.value.trim().replace(',', '.'));
+    }
+    if (!Number.isFinite(value)) {
+      return { error: 'invalid number' };
+    }
+    return { submission: { value: value } };
+  }
+  if (type === 'text') {
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    if (!text || text.length > MAX_TEXT_ANSWER) {
+      return { error: 'invalid text answer' };
+    }
+    return { submission: { text: text } };
+  }
+  const answerIndex = readIndex(data.answerIndex);
+  if (!Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex >= quiz.options.length) {
+    return { error: 'invalid answer' };
+  }
+  return { submission: { answerIndex: answerIndex } };
+}
+
+// Grade a submission: true or false, or null when the model has to grade it
+export function gradeSubmission(quiz, submission) {
+  const type = getQuizType(quiz);
+  if (type === 'multi') {
+    const correct = quiz.correct.slice().sort((a, b) => a - b);
+    return correct.length === submission.answerIndexes.length &&
+      correct.every((index, i) => index === submission.answerIndexes[i]);
+  }
+  if (type === 'numeric') {
+    // Small epsilon so 0.1 + 0.2 style rounding never fails a right answer
+    return Math.abs(submission.value - quiz.answer) <= (quiz.tolerance || 0) + 1e-9;
+  }
+  if (type === 'text') {
+    if (quiz.grading === 'llm') return null;
+    return matchesKeywords(submission.text, quiz.keywords);
+  }
+  return submission.answerIndex === quiz.correct;
+}
+
+// Short display form of a submission, e.g. "A", "A, C", "42" or the text
+export function formatSubmission(quiz, submission) {
+  const type = getQuizType(quiz);
+  if (type === 'multi') return submission.answerIndexes.map(optionLetter).join(', ');
+  if (type === 'numeric') return String(submission.value);
+  if (type === 'text') return submission.text;
+  return optionLetter(submission.answerIndex);
+}
+
+// Display form of the correct answer, e.g. "C. Chlorophyll" or "9.8 ± 0.1 m/s²"
+export function formatCorrectAnswer(quiz) {
+  const type = getQuizType(quiz);
+  if (type === 'multi') {
+    return quiz.correct.map(i => `${optionLetter(i)}. ${quiz.options[i]}`).join('; ');
+  }
+  if (type === 'numeric') {
+    return `${quiz.answer}${quiz.tolerance ? ` ± ${quiz.tolerance}` : ''}${quiz.unit ? ` ${quiz.unit}` : ''}`;
+  }
+  if (type === 'text') return quiz.answer;
+  return `${optionLetter(quiz.correct)}. ${quiz.options[quiz.correct]}`;
+}
+
+// Short key of the correct answer for exports, e.g. "C", "A;C", "9.8" or the model answer
+export function formatCorrectKey(quiz) {
+  const type = getQuizType(quiz);
+  if (type === 'multi') return quiz.correct.map(optionLetter).join(';');
+  if (type === 'numeric') return String(quiz.answer);
+  if (type === 'text') return quiz.answer;
+  return optionLetter(quiz.correct);
+}
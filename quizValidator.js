@@ -0,0 +1,341 @@
+// Validation and repair of quizzes returned by the model
+//
+// parseQuizText(text) and validateQuiz(raw) both return
+//   { quiz, repairs, errors }
+// where quiz is null when the response cannot be used, repairs lists the fixes
+// that were applied and errors lists why the quiz was rejected.
+// Question types and their fields are described in quizTypes.js.
+
+import { QUIZ_TYPES, normalizeQuizType } from './quizTypes.js';
+
+const OPTION_COUNT = 4;
+const MULTI_OPTION_MIN = 3;
+const MULTI_OPTION_MAX = 6;
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Find the first balanced {...} block, ignoring braces inside strings
+function extractJSONObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+      }
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.substring(start, i + 1);
+      }
+    }
+  }
+  // Unterminated object: hand back the rest and let JSON.parse report it
+  return text.substring(start);
+}
+
+// Parse a model response into a validated quiz
+export function parseQuizText(text) {
+  const repairs = [];
+  let body = String(text || '');
+
+  // Reasoning models wrap their thinking in <think> tags, which can contain braces
+  if (/<think>[\s\S]*?<\/think>/i.test(body)) {
+    body = body.replace(/<think>[\s\S]*?<\/think>/gi, '');
+  }
+
+  let json = extractJSONObject(body);
+  if (!json) {
+    return { quiz: null, repairs, errors: ['response contains no JSON object'] };
+  }
+
+  // Small models sometimes list every index, as in "correct": 0,1,2,3
+  if (/"correct"\s*:\s*\d\s*,\s*\d/.test(json)) {
+    return { quiz: null, repairs, errors: ['"correct" lists several indexes instead of one'] };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (error) {
+    // Common near-misses: smart quotes and trailing commas
+    const fixed = json
+      .replace(/[“”]/g, '"')
+      .replace(/,\s*([}\]])/g, '$1');
+    try {
+      raw = JSON.parse(fixed);
+      repairs.push('fixed invalid JSON (smart quotes or trailing commas)');
+    } catch (secondError) {
+      return { quiz: null, repairs, errors: [`invalid JSON: ${error.message}`] };
+    }
+  }
+
+  const result = validateQuiz(raw);
+  return { quiz: result.quiz, repairs: repairs.concat(result.repairs), errors: result.errors };
+}
+
+// Turn one option into plain text
+function optionText(option) {
+  if (typeof option === 'string') return option;
+  if (option && typeof option === 'object') {
+    return String(option.text || option.option || option.value || JSON.stringify(option));
+  }
+  return String(option);
+}
+
+// First of the given keys that is set on the quiz, noting the alias as a repair
+function readField(raw, keys, repairs) {
+  const key = keys.find(k => raw[k] !== undefined);
+  if (key === undefined) return undefined;
+  if (key !== keys[0]) {
+    repairs.push(`used "${key}" as "${keys[0]}"`);
+  }
+  return raw[key];
+}
+
+// Clean the option list, checking it has between min and max unique entries
+function readOptions(raw, min, max, repairs, errors) {
+  let options = raw.options !== undefined ? raw.options : raw.choices;
+  if (options && typeof options === 'object' && !Array.isArray(options)) {
+    options = Object.keys(options).sort().map(key => options[key]);
+    repairs.push('"options" was an object, converted to a list');
+  }
+  if (!Array.isArray(options)) {
+    errors.push('"options" is missing or not a list');
+    return null;
+  }
+  options = options.map(o => optionText(o).trim());
+  // Drop "A. " / "B) " prefixes when every option has them in order
+  const prefixed = options.length > 0 && options.every((o, i) =>
+    new RegExp(`^\\(?${String.fromCharCode(65 + i)}[).:]\\s*`, 'i').test(o));
+  if (prefixed) {
+    options = options.map(o => o.replace(/^\(?[A-Za-z][).:]\s*/, ''));
+    repairs.push('removed letter prefixes from options');
+  }
+  const nonEmpty = options.filter(o => o.length > 0);
+  if (nonEmpty.length !== options.length) {
+    repairs.push('removed empty options');
+    options = nonEmpty;
+  }
+  if (options.length < min || options.length > max) {
+    errors.push(min === max
+      ? `"options" has ${options.length} entries, expected ${min}`
+      : `"options" has ${options.length} entries, expected ${min} to ${max}`);
+  }
+  const seen = new Set();
+  options.forEach(o => {
+    const key = o.toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`"options" are not unique: "${o.substring(0, 30)}" appears twice`);
+    }
+    seen.add(key);
+  });
+  return options;
+}
+
+// Work out the correct index from a number, digit, letter or option text
+function resolveCorrect(value, options, repairs, errors) {
+  const count = options ? options.length : OPTION_COUNT;
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= 0 && value < count) {
+      return value;
+    }
+    errors.push(`"correct" must be an integer from 0 to ${count - 1}, got ${value}`);
+    return null;
+  }
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (/^\d$/.test(text) && parseInt(text, 10) < count) {
+      repairs.push('"correct" was a string, converted to a number');
+      return parseInt(text, 10);
+    }
+    if (options) {
+      const index = options.findIndex(o => o.toLowerCase() === text.toLowerCase());
+      if (index !== -1) {
+        repairs.push('"correct" was the option text, converted to an index');
+        return index;
+      }
+    }
+    const letter = text.match(/^\(?([A-Za-z])(?:[).:]|$)/);
+    if (letter && letter[1].toUpperCase().charCodeAt(0) - 65 < count) {
+      repairs.push(`"correct" was the letter ${letter[1].toUpperCase()}, converted to an index`);
+      return letter[1].toUpperCase().charCodeAt(0) - 65;
+    }
+    errors.push(`"correct" must be an integer from 0 to ${count - 1}, got "${text.substring(0, 30)}"`);
+    return null;
+  }
+  errors.push(value === undefined || value === null
+    ? '"correct" is missing'
+    : `"correct" must be an integer from 0 to ${count - 1}`);
+  return null;
+}
+
+// True/false answers may come as booleans, words, indexes or letters
+function resolveTrueFalse(value, repairs, errors) {
+  // A boolean is what the prompt asks for, so it is not a repair
+  if (typeof value === 'boolean') {
+    return value ? 0 : 1;
+  }
+  if (typeof value === 'string' && /^(true|false|t|f)$/i.test(value.trim())) {
+    repairs.push('"correct" was a word, converted to an index');
+    return /^t/i.test(value.trim()) ? 0 : 1;
+  }
+  return resolveCorrect(value, TRUE_FALSE_OPTIONS, repairs, errors);
+}
+
+// Multiple-select answers are a list, or a string such as "A, C"
+function resolveCorrectList(value, options, repairs, errors) {
+  let list = value;
+  if (typeof value === 'string') {
+    list = value.split(/[,;]|\s+and\s+/).map(v => v.trim()).filter(Boolean);
+    repairs.push('"correct" was a string, converted to a list');
+  } else if (typeof value === 'number') {
+    list = [value];
+    repairs.push('"correct" was a single index, converted to a list');
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push('"correct" must be a list of the correct option indexes');
+    return null;
+  }
+  const itemErrors = [];
+  const indexes = list.map(item => resolveCorrect(item, options, repairs, itemErrors));
+  if (itemErrors.length > 0) {
+    errors.push(...itemErrors);
+    return null;
+  }
+  const unique = [...new Set(indexes)].sort((a, b) => a - b);
+  if (unique.length !== indexes.length) {
+    repairs.push('removed repeated indexes from "correct"');
+  }
+  return unique;
+}
+
+// Numbers may come as strings, with a comma as the decimal separator
+function readNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim()) {
+    const number = Number(value.trim().replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+}
+
+// Check the type-specific fields, adding them to quiz
+function validateChoiceFields(type, raw, quiz, repairs, errors) {
+  if (type === 'truefalse') {
+    const given = raw.options !== undefined ? raw.options : raw.choices;
+    const matches = Array.isArray(given) && given.length === 2 &&
+      given.every((o, i) => optionText(o).trim().toLowerCase() === TRUE_FALSE_OPTIONS[i].toLowerCase());
+    if (given !== undefined && !matches) {
+      repairs.push('replaced "options" with True and False');
+    }
+    quiz.options = TRUE_FALSE_OPTIONS.slice();
+    quiz.correct = resolveTrueFalse(readField(raw, ['correct', 'answer', 'correct_answer', 'correctAnswer'], repairs), repairs, errors);
+    return;
+  }
+
+  const multi = type === 'multi';
+  const options = multi
+    ? readOptions(raw, MULTI_OPTION_MIN, MULTI_OPTION_MAX, repairs, errors)
+    : readOptions(raw, OPTION_COUNT, OPTION_COUNT, repairs, errors);
+  const correctValue = readField(raw, ['correct', 'answer', 'correct_answer', 'correctAnswer', 'correctIndex', 'correctIndexes'], repairs);
+  quiz.options = options;
+  quiz.correct = multi
+    ? resolveCorrectList(correctValue, options, repairs, errors)
+    : resolveCorrect(correctValue, options, repairs, errors);
+}
+
+// Check a parsed quiz object, repairing what can be repaired safely
+export function validateQuiz(raw) {
+  const repairs = [];
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { quiz: null, repairs, errors: ['response is not a JSON object'] };
+  }
+
+  const type = normalizeQuizType(raw.type);
+  if (!type) {
+    return { quiz: null, repairs, errors: [`"type" must be one of ${QUIZ_TYPES.join(', ')}`] };
+  }
+
+  // Question
+  const question = typeof raw.question === 'string' ? raw.question.trim() : '';
+  if (!question) {
+    errors.push('"question" is missing or empty');
+  }
+
+  // Multiple choice quizzes keep their original shape without a "type"
+  const quiz = type === 'mcq' ? { question } : { question, type };
+
+  if (type === 'mcq' || type === 'truefalse' || type === 'multi') {
+    validateChoiceFields(type, raw, quiz, repairs, errors);
+  } else if (type === 'numeric') {
+    const answerValue = readField(raw, ['answer', 'correct', 'correct_answer', 'correctAnswer', 'value'], repairs);
+    const answer = readNumber(answerValue);
+    if (answer === null) {
+      errors.push('"answer" must be a number');
+    } else if (typeof answerValue === 'string') {
+      repairs.push('"answer" was a string, converted to a number');
+    }
+    const tolerance = raw.tolerance === undefined || raw.tolerance === null ? 0 : readNumber(raw.tolerance);
+    if (tolerance === null || tolerance < 0) {
+      errors.push('"tolerance" must be a number of 0 or more');
+    }
+    quiz.answer = answer;
+    quiz.tolerance = tolerance;
+    if (typeof raw.unit === 'string' && raw.unit.trim()) {
+      quiz.unit = raw.unit.trim();
+    }
+  } else {
+    const answer = readField(raw, ['answer', 'correct', 'correct_answer', 'correctAnswer', 'model_answer'], repairs);
+    if (typeof answer !== 'string' || !answer.trim()) {
+      errors.push('"answer" must be the model answer text');
+    }
+    let keywords = raw.keywords;
+    if (typeof keywords === 'string') {
+      keywords = keywords.split(',');
+      repairs.push('"keywords" was a string, converted to a list');
+    }
+    keywords = Array.isArray(keywords)
+      ? keywords.map(k => String(k).trim()).filter(Boolean)
+      : [];
+    let grading = typeof raw.grading === 'string' ? raw.grading.trim().toLowerCase() : '';
+    if (grading && grading !== 'keywords' && grading !== 'llm') {
+      errors.push('"grading" must be "keywords" or "llm"');
+    }
+    if (!grading) {
+      grading = keywords.length > 0 ? 'keywords' : 'llm';
+    }
+    if (grading === 'keywords' && keywords.length === 0) {
+      errors.push('"keywords" must list at least one keyword for keyword grading');
+    }
+    quiz.answer = typeof answer === 'string' ? answer.trim() : '';
+    quiz.keywords = keywords;
+    quiz.grading = grading;
+  }
+
+  if (errors.length > 0) {
+    return { quiz: null, repairs, errors };
+  }
+  // Optional: why the correct option is right, used in answer feedback
+  if (typeof raw.explanation === 'string' && raw.explanation.trim()) {
+    quiz.explanation = raw.explanation.trim();
+  }
+  return {
+    quiz,
+    repairs,
+    errors
+  };
+}
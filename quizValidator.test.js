@@ -0,0 +1,258 @@
+// Tests for parsing and validating model quiz responses
+// Run with: npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuizText, validateQuiz } from './quizValidator.js';
+import { readSubmission, gradeSubmission } from './quizTypes.js';
+
+const MCQ = {
+  question: 'What is 2 + 2?',
+  options: ['3', '4', '5', '6'],
+  correct: 1
+};
+
+test('parses a well-formed multiple choice quiz', () => {
+  const result = parseQuizText(JSON.stringify(MCQ));
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.repairs, []);
+  assert.equal(result.quiz.question, 'What is 2 + 2?');
+  assert.deepEqual(result.quiz.options, ['3', '4', '5', '6']);
+  assert.equal(result.quiz.correct, 1);
+});
+
+test('repairs smart quotes', () => {
+  const text = '{“question”: “What is 2 + 2?”, “options”: [“3”, “4”, “5”, “6”], “correct”: 1}';
+  const result = parseQuizText(text);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.quiz.correct, 1);
+  assert.ok(result.repairs.some(r => r.includes('smart quotes')));
+});
+
+test('repairs trailing commas', () => {
+  const text = '{"question": "What is 2 + 2?", "options": ["3", "4", "5", "6",], "correct": 1,}';
+  const result = parseQuizText(text);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.quiz.options, ['3', '4', '5', '6']);
+  assert.ok(result.repairs.some(r => r.includes('trailing commas')));
+});
+
+test('ignores braces inside <think> blocks', () => {
+  const text = '<think>Maybe {"question": "wrong"} would do</think>\n' +
+    'Here is the quiz:\n' + JSON.stringify(MCQ);
+  const result = parseQuizText(text);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.quiz.question, 'What is 2 + 2?');
+});
+
+test('rejects duplicate options', () => {
+  const result = validateQuiz({ ...MCQ, options: ['3', '4', '4', '6'] });
+  assert.equal(result.quiz, null);
+  assert.ok(result.errors.some(e => e.includes('not unique')));
+});
+
+test('treats duplicate options as equal regardless of case', () => {
+  const result = validateQuiz({ ...MCQ, options: ['Paris', 'paris', 'Rome', 'Oslo'] });
+  assert.equal(result.quiz, null);
+  assert.ok(result.errors.some(e => e.includes('not unique')));
+});
+
+test('rejects an out-of-range correct index', () => {
+  const result = validateQuiz({ ...MCQ, correct: 4 });
+  assert.equal(result.quiz, null);
+  assert.ok(result.errors.some(e => e.includes('from 0 to 3')));
+});
+
+test('rejects a negative correct index', () => {
+  const result = validateQuiz({ ...MCQ, correct: -1 });
+  assert.equal(result.quiz, null);
+  assert.ok(result.errors.some(e => e.includes('from 0 to 3')));
+});
+
+test('rejects several correct indexes for a multiple choice quiz', () => {
+  const text = '{"question": "What is 2 + 2?", "options": ["3", "4", "5", "6"], "correct": 0,1,2,3}';
+  const result = parseQuizText(text);
+  assert.equal(result.quiz, null);
+  assert.ok(result.errors.some(e => e.includes('several indexes')));
+});
+
+test('rejects a response without a JSON object', () => {
+  const result = parseQuizText('Sorry, I cannot make a quiz about that.');
+  assert.equal(result.quiz, null);
+  assert.deepEqual(result.errors, ['response contains no JSON object']);
+});
+
+test('rejects an empty response', () => {
+  const result = parseQuizText('');
+  assert.equal(result.quiz, null);
+  assert.deepEqual(result.errors, ['response contains no JSON object']);
+});
+
+test('rejects JSON that cannot be repaired', () => {
+  const result = parseQuizText('{"question": "What is 2 + 2?", "options": [');
+  assert.equal(result.quiz, null);
+  assert.ok(result.errors[0].startsWith('invalid JSON'));
+});
+
+test('rejects a value that is not an object', () => {
+  assert.deepEqual(validateQuiz(null).errors, ['response is not a JSON object']);
+  assert.deepEqual(validateQuiz([MCQ]).errors, ['response is not a JSON object']);
+});
+
+test('parses a true/false quiz with a boolean answer without repairs', () => {
+  const text = '{"type": "truefalse", "question": "The Sun is a star", "correct": true, "explanation": "It fuses hydrogen"}';
+  const result = parseQuizText(text);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.repairs, []);
+  assert.deepEqual(result.quiz, {
+    question: 'The Sun is a star',
+    type: 'truefalse',
+    options: ['True', 'False'],
+    correct: 0,
+    explanation: 'It fuses hydrogen'
+  });
+  assert.equal(validateQuiz({ type: 'tf', question: 'Ice is hot', correct: false }).quiz.correct, 1);
+});
+
+test('repairs true/false answers given as words or letters', () => {
+  const word = validateQuiz({ type: 'truefalse', question: 'Ice is hot', correct: 'False' });
+  assert.equal(word.quiz.correct, 1);
+  assert.ok(word.repairs.some(r => r.includes('was a word')));
+  const letter = validateQuiz({ type: 'truefalse', question: 'Ice is cold', correct: 'A' });
+  assert.equal(letter.quiz.correct, 0);
+});
+
+test('rejects a true/false quiz without an answer', () => {
+  const result = validateQuiz({ type: 'truefalse', question: 'Ice is hot' });
+  assert.equal(result.quiz, null);
+  assert.deepEqual(result.errors, ['"correct" is missing']);
+});
+
+test('parses a multiple select quiz', () => {
+  const text = '{"type": "multi", "question": "Which are planets?", "options": ["Mars", "Moon", "Venus", "Sun"], "correct": [2, 0]}';
+  const result = parseQuizText(text);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.quiz.type, 'multi');
+  assert.deepEqual(result.quiz.correct, [0, 2]);
+});
+
+test('repairs multiple select answers given as letters', () => {
+  const result = validateQuiz({ type: 'multi', question: 'Which are planets?', options: ['Mars', 'Moon', 'Venus', 'Sun'], correct: 'A, C' });
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.quiz.correct, [0, 2]);
+  assert.ok(result.repairs.some(r => r.includes('converted to a list')));
+});
+
+test('rejects multiple select quizzes with bad answers or options', () => {
+  const base = { type: 'multi', question: 'Which are planets?', options: ['Mars', 'Moon', 'Venus', 'Sun'] };
+  assert.ok(validateQuiz({ ...base, correct: [] }).errors.some(e => e.includes('must be a list')));
+  assert.ok(validateQuiz({ ...base, correct: [0, 7] }).errors.some(e => e.includes('from 0 to 3')));
+  const twoOptions = validateQuiz({ ...base, options: ['Mars', 'Moon'], correct: [0] });
+  assert.equal(twoOptions.quiz, null);
+  assert.ok(twoOptions.errors.some(e => e.includes('expected 3 to 6')));
+});
+
+test('parses a numeric quiz, reading a decimal comma', () => {
+  const text = '{"type": "numeric", "question": "Acceleration due to gravity?", "answer": "9,8", "tolerance": 0.1, "unit": "m/s²"}';
+  const result = parseQuizText(text);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.quiz, { question: 'Acceleration due to gravity?', type: 'numeric', answer: 9.8, tolerance: 0.1, unit: 'm/s²' });
+  assert.ok(result.repairs.some(r => r.includes('"answer" was a string')));
+  assert.equal(validateQuiz({ type: 'number', question: 'Legs on a spider?', answer: 8 }).quiz.tolerance, 0);
+});
+
+test('rejects numeric quizzes without a number or with a negative tolerance', () => {
+  assert.deepEqual(validateQuiz({ type: 'numeric', question: 'How many?', answer: 'many' }).errors, ['"answer" must be a number']);
+  assert.deepEqual(validateQuiz({ type: 'numeric', question: 'How many?', answer: 3, tolerance: -1 }).errors, ['"tolerance" must be a number of 0 or more']);
+});
+
+test('parses a short answer quiz with keywords', () => {
+  const text = '{"type": "text", "question": "What do plants make with light?", "answer": "Glucose", "keywords": "glucose, sugar"}';
+  const result = parseQuizText(text);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.quiz.keywords, ['glucose', 'sugar']);
+  assert.equal(result.quiz.grading, 'keywords');
+  assert.ok(result.repairs.some(r => r.includes('"keywords" was a string')));
+});
+
+test('grades short answers without keywords with the model', () => {
+  const result = validateQuiz({ type: 'short_answer', question: 'Why is the sky blue?', answer: 'Rayleigh scattering' });
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.quiz.type, 'text');
+  assert.equal(result.quiz.grading, 'llm');
+});
+
+test('rejects short answer quizzes without an answer or keywords for keyword grading', () => {
+  assert.ok(validateQuiz({ type: 'text', question: 'Why?', keywords: ['a'] }).errors.includes('"answer" must be the model answer text'));
+  assert.ok(validateQuiz({ type: 'text', question: 'Why?', answer: 'Because', grading: 'keywords' }).errors
+    .includes('"keywords" must list at least one keyword for keyword grading'));
+  assert.ok(validateQuiz({ type: 'text', question: 'Why?', answer: 'Because', grading: 'exact' }).errors
+    .includes('"grading" must be "keywords" or "llm"'));
+});
+
+test('rejects an unknown quiz type', () => {
+  const result = validateQuiz({ ...MCQ, type: 'essay' });
+  assert.equal(result.quiz, null);
+  assert.ok(result.errors[0].startsWith('"type" must be one of'));
+});
+
+const NUMERIC = { type: 'numeric', question: 'g?', answer: 9.8, tolerance: 0.1 };
+const MULTI = { type: 'multi', question: 'Planets?', options: ['Mars', 'Moon', 'Venus', 'Sun'], correct: [0, 2] };
+const TEXT = { type: 'text', question: 'Plants make?', answer: 'Glucose', keywords: ['glucose'], grading: 'keywords' };
+
+test('reads choice answers as option indexes', () => {
+  assert.deepEqual(readSubmission(MCQ, { answerIndex: 2 }), { submission: { answerIndex: 2 } });
+  assert.deepEqual(readSubmission(MCQ, { answerIndex: '2' }), { submission: { answerIndex: 2 } });
+  [4, -1, 1.5, true, null, '', undefined, [1]].forEach(answerIndex => {
+    assert.deepEqual(readSubmission(MCQ, { answerIndex }), { error: 'invalid answer' }, `answerIndex ${JSON.stringify(answerIndex)}`);
+  });
+  assert.deepEqual(readSubmission(MCQ, null), { error: 'invalid answer' });
+});
+
+test('reads multiple select answers as sorted unique indexes', () => {
+  assert.deepEqual(readSubmission(MULTI, { answerIndexes: [2, 0, 2] }), { submission: { answerIndexes: [0, 2] } });
+  [[], [4], [true], [null], 'A', undefined].forEach(answerIndexes => {
+    assert.deepEqual(readSubmission(MULTI, { answerIndexes }), { error: 'invalid options' }, `answerIndexes ${JSON.stringify(answerIndexes)}`);
+  });
+});
+
+test('reads numeric answers from numbers and numeric text only', () => {
+  assert.deepEqual(readSubmission(NUMERIC, { value: 9.75 }), { submission: { value: 9.75 } });
+  assert.deepEqual(readSubmission(NUMERIC, { value: ' 9,8 ' }), { submission: { value: 9.8 } });
+  [true, false, null, '', '  ', 'nine', [5], {}, Infinity].forEach(value => {
+    assert.deepEqual(readSubmission(NUMERIC, { value }), { error: 'invalid number' }, `value ${String(value)}`);
+  });
+});
+
+test('reads short answers as trimmed text of at most 500 characters', () => {
+  assert.deepEqual(readSubmission(TEXT, { text: '  Glucose  ' }), { submission: { text: 'Glucose' } });
+  ['', '   ', 42, 'x'.repeat(501)].forEach(text => {
+    assert.deepEqual(readSubmission(TEXT, { text }), { error: 'invalid text answer' });
+  });
+});
+
+test('grades choice answers by index', () => {
+  assert.equal(gradeSubmission(MCQ, { answerIndex: 1 }), true);
+  assert.equal(gradeSubmission(MCQ, { answerIndex: 0 }), false);
+  const trueFalse = validateQuiz({ type: 'truefalse', question: 'Ice is hot', correct: false }).quiz;
+  assert.equal(gradeSubmission(trueFalse, { answerIndex: 1 }), true);
+});
+
+test('grades multiple select answers only when every correct option and nothing else is chosen', () => {
+  assert.equal(gradeSubmission(MULTI, { answerIndexes: [0, 2] }), true);
+  assert.equal(gradeSubmission(MULTI, { answerIndexes: [0] }), false);
+  assert.equal(gradeSubmission(MULTI, { answerIndexes: [0, 1, 2] }), false);
+});
+
+test('grades numeric answers within the tolerance', () => {
+  assert.equal(gradeSubmission(NUMERIC, { value: 9.9 }), true);
+  assert.equal(gradeSubmission(NUMERIC, { value: 9.7 }), true);
+  assert.equal(gradeSubmission(NUMERIC, { value: 9.95 }), false);
+  assert.equal(gradeSubmission({ type: 'numeric', answer: 0.3, tolerance: 0 }, { value: 0.1 + 0.2 }), true);
+});
+
+test('grades short answers by keywords, or leaves them to the model', () => {
+  assert.equal(gradeSubmission(TEXT, { text: 'They make GLUCOSE!' }), true);
+  assert.equal(gradeSubmission(TEXT, { text: 'Oxygen' }), false);
+  assert.equal(gradeSubmission({ ...TEXT, grading: 'llm' }, { text: 'Oxygen' }), null);
+});
@@ -6,9 +6,15 @@ import os from 'os';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
-import { exec } from 'child_process';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { OLLAMA_MODELS, FALLBACK_MODEL } from './constants.js';
+import { HOLD_FEEDBACK_UNTIL_REVEAL, QUIZ_DEADLINE_GRACE_MS, EXPORT_DIR, QUIZ_GENERATION_ATTEMPTS, USE_QUESTION_BANK, HINT_LEVELS, HINT_PENALTIES, RESPONSE_TIME_BUCKETS, HEARTBEAT_INTERVAL_MS, HEARTBEAT_TIMEOUT_MS, PRESENCE_IDLE_MS, JOIN_CODE_LENGTH, JOIN_ATTEMPT_LIMIT, JOIN_BLOCK_MS } from './constants.js';
+import { createSession, resumeSession, appendEvent, endSession, listSessions, loadSession, findUnfinishedSession } from './sessionStore.js';
+import { exportResults } from './exporter.js';
+import { getLLMConfig, createProvider, describeLLMConfig } from './llm.js';
+import { parseQuizText, validateQuiz } from './quizValidator.js';
+import { QUIZ_TYPES, normalizeQuizType, getQuizType, describeQuizType, isChoiceQuiz, optionLetter, normalizeText, readSubmission, gradeSubmission, formatSubmission, formatCorrectAnswer } from './quizTypes.js';
+import { DIFFICULTIES, addToBank, searchBank, pickFromBank, getBankQuestion, recordBankUsage, getBankSize, importBank, exportBank } from './questionBank.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,9 +32,20 @@ function getLocalIP() {
   return 'localhost';
 }
 
-const PORT = 8080;
+// SAHAYAK_PORT lets the tests run a server next to a class on 8080
+const PORT = parseInt(process.env.SAHAYAK_PORT, 10) || 8080;
 const localIP = getLocalIP();
 
+// LLM provider used for quizzes and doubt processing
+const llmConfig = getLLMConfig();
+let llm;
+try {
+  llm = createProvider(llmConfig, { onWarning: text => addMessage(text, 'system') });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
 // Create HTTP server to serve HTML file
 const server = http.createServer((req, res) => {
   if (req.url === '/client.html' || req.url === '/') {
@@ -51,24 +68,56 @@ const server = http.createServer((req, res) => {
 // Create WebSocket server
 const wss = new WebSocketServer({ server });
 
-let client = null;
+let learners = new Map(); // learner id -> { id, ws, address, admitted, name, roll, connectedAt, resumeToken, lastPong }
+let nextLearnerId = 1;
+let resumeTokens = new Map(); // resume token -> learner id, so a learner who reconnects keeps their id
+let roster = new Map(); // learner id -> { id, name, roll, connected, joinedAt, lastSeen, lastActive }, kept after they leave
+let showRoster = true;
+let joinCode = createJoinCode();
+let isRoomLocked = false;
+let failedJoins = new Map(); // address -> { count, blockedUntil } for wrong join codes
+let mutedLearners = new Set(); // identity keys of learners who can answer quizzes but not chat
+let blockedLearners = []; // { id, name, roll, address, byAddress, blockedAt } kept out of the class
+// Private threads between the educator and single learners
+// { number, learnerId, learnerLabel, from: 'learner' | 'educator', text, timestamp, replyTo, promoted }
+// Questions from learners are numbered for /reply and /promote
+let privateMessages = [];
+let nextPrivateNumber = 1;
+let showPrivateMessages = true;
+let updatePrivateCallback = null;
+let updateRosterCallback = null;
 let messageList = [];
 let status = 'Waiting for connection...';
 let isGeneratingQuiz = false;
+let generatingLabel = 'Generating quiz...';
 let currentQuiz = null;
+let nextQuizId = 1;
 let quizStatistics = null;
+let quizCloseTimer = null;
+let quizHintCache = new Map(); // "quiz id:level" -> Promise of the hint text
+let quizExplanationCache = new Map(); // "quiz id:answer key" -> Promise of the explanation text
+let gradingAnswers = new Set(); // "quiz id:learner id" while the model grades a text answer
+let hintPenalties = HINT_PENALTIES.slice(0, HINT_LEVELS); // percent per hint level, set with /hintpenalty
+let currentQuizSet = null;
+let nextQuizSetId = 1;
+let pendingQuiz = null; // generated quiz or set waiting for educator approval
+let updatePreviewCallback = null;
 let showStatistics = false;
 let addMessageCallback = null;
 let updateStatusCallback = null;
 let updateLoadingCallback = null;
 let updateStatisticsCallback = null;
 let isDoubtActive = false;
-let doubtCollection = [];
+let doubtCollection = []; // doubt records, numbered from 1 per collection, with the ids of learners who upvoted them
 let topDoubts = null;
 let showTopDoubts = false;
 let isProcessingDoubts = false;
 let doubtCollectionTimeout = null;
 let updateDoubtsCallback = null;
+let pendingDoubtAnswer = null; // { number, doubt, text } drafted with /answer, waiting for the educator to send it
+let isDraftingDoubtAnswer = false;
+let currentSession = null;
+let sessionWriteFailed = false;
 
 // Function to get relative time
 function getRelativeTime(timestamp) {
@@ -90,18 +139,34 @@ function getRelativeTime(timestamp) {
 }
 
 // Function to add message to display
-function addMessage(text, type = 'info') {
+function addMessage(text, type = 'info', sender = null) {
   const timestamp = Date.now();
   messageList.push({
     text: text,
     type: type,
+    sender: sender,
     timestamp: timestamp
   });
+  recordEvent('message', { text: text, type: type, sender: sender });
   if (addMessageCallback) {
     addMessageCallback();
   }
 }
 
+// Persist an event to the current session file
+function recordEvent(type, data) {
+  if (!currentSession) return;
+  try {
+    appendEvent(currentSession, type, data);
+  } catch (error) {
+    // Report the first failure only, the log itself is saved through here
+    if (!sessionWriteFailed) {
+      sessionWriteFailed = true;
+      addMessage(`Could not save session: ${error.message}`, 'system');
+    }
+  }
+}
+
 // Update header status
 function updateStatus(newStatus) {
   status = newStatus;
@@ -110,9 +175,721 @@ function updateStatus(newStatus) {
   }
 }
 
+// Get learners who entered the class and whose socket is still open
+function getConnectedLearners() {
+  return Array.from(learners.values()).filter(l => l.admitted && l.ws.readyState === WebSocket.OPEN);
+}
+
+// Short code learners type to join, without look-alike characters such as 0/O and 1/I
+function createJoinCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from(crypto.randomBytes(JOIN_CODE_LENGTH), b => alphabet[b % alphabet.length]).join('');
+}
+
+// Seconds an address still has to wait after too many wrong join codes, or 0
+function getJoinBlockSeconds(address) {
+  const entry = failedJoins.get(address);
+  return entry && entry.blockedUntil > Date.now() ? Math.ceil((entry.blockedUntil - Date.now()) / 1000) : 0;
+}
+
+// Count a wrong join code, blocking the address once it reaches the limit
+function recordFailedJoin(address) {
+  const entry = failedJoins.get(address) || { count: 0, blockedUntil: 0 };
+  entry.count++;
+  if (entry.count >= JOIN_ATTEMPT_LIMIT) {
+    entry.count = 0;
+    entry.blockedUntil = Date.now() + JOIN_BLOCK_MS;
+    addMessage(`Too many wrong join codes from ${address}, blocked for ${Math.round(JOIN_BLOCK_MS / 1000)} seconds`, 'system');
+  }
+  failedJoins.set(address, entry);
+}
+
+// Refresh the private messages panel
+function updatePrivateDisplay() {
+  if (updatePrivateCallback) {
+    updatePrivateCallback();
+  }
+}
+
+// Add a private message to its thread and the session
+function addPrivateMessage(entry) {
+  privateMessages.push(entry);
+  recordEvent('private_message', entry);
+  updatePrivateDisplay();
+  return entry;
+}
+
+// Send a private message from the educator to one learner
+function sendPrivateMessage(learner, text, replyTo = null) {
+  const entry = addPrivateMessage({
+    learnerId: learner.id,
+    learnerLabel: getLearnerLabel(learner),
+    from: 'educator',
+    text: text,
+    timestamp: Date.now(),
+    replyTo: replyTo
+  });
+  sendToLearner(learner, { type: 'private_message', data: { from: 'educator', text: text, timestamp: entry.timestamp, replyTo: replyTo } });
+}
+
+// Split "/dm Asha Rao hello" into the learner and the text: the longest leading
+// words that name exactly one connected learner win
+function splitLearnerAndText(args) {
+  const words = args.split(/\s+/).filter(Boolean);
+  for (let i = words.length - 1; i >= 1; i--) {
+    const { learner } = findLearner(words.slice(0, i).join(' '));
+    if (learner) return { learner: learner, text: words.slice(i).join(' ') };
+  }
+  return { error: words.length < 2 ? 'Usage: /dm <name or roll number> <text>' : findLearner(words[0]).error };
+}
+
+// Learner question with the given number, or null
+function findPrivateQuestion(number) {
+  return privateMessages.find(m => m.from === 'learner' && m.number === number) || null;
+}
+
+// Who a learner is across connections: their roll number, else their name, else their id
+// Mutes and blocks follow this key, so they survive reconnecting without a resume token
+function getIdentityKey(learner) {
+  if (learner.roll) return `roll:${String(learner.roll).toLowerCase()}`;
+  if (learner.name) return `name:${String(learner.name).toLowerCase()}`;
+  return `id:${learner.id}`;
+}
+
+// Muted learners can answer quizzes and send doubts but not chat
+function isMuted(learner) {
+  return mutedLearners.has(getIdentityKey(learner));
+}
+
+// Blocked entry for a learner joining with the given identity, or null
+// Addresses only count for blocks made with --address, as a shared hotspot or lab machine
+// gives several learners the same address
+function findBlock(address, identity) {
+  const key = getIdentityKey(identity);
+  return blockedLearners.find(b => getIdentityKey(b) === key || (b.byAddress && b.address === address)) || null;
+}
+
+// Find a connected learner by roll number or name, e.g. "12", "Asha" or "Asha (12)"
+// Returns { learner } or { error }
+function findLearner(query) {
+  const wanted = query.trim().toLowerCase();
+  if (!wanted) return { error: 'Give a learner name or roll number' };
+  const connected = getConnectedLearners();
+  const matchers = [
+    l => l.roll && l.roll.toLowerCase() === wanted,
+    l => l.name.toLowerCase() === wanted || getLearnerLabel(l).toLowerCase() === wanted,
+    l => l.name.toLowerCase().startsWith(wanted)
+  ];
+  for (const matches of matchers) {
+    const found = connected.filter(matches);
+    if (found.length === 1) return { learner: found[0] };
+    if (found.length > 1) {
+      return { error: `${found.length} learners match "${query}" (${found.map(getLearnerLabel).join(', ')}), use the roll number` };
+    }
+  }
+  return { error: `No connected learner matches "${query}"` };
+}
+
+// Save the join code and lock, so both survive a crash
+function recordJoinCode() {
+  recordEvent('join_code', { code: joinCode, locked: isRoomLocked });
+}
+
+// Why a hello may not enter the class, or null when it may
+// Only learners who are not in class yet get here, see the hello handler
+// A valid resume token lets a learner back in after the code changed or the room was locked
+function getJoinRejection(learner, identity) {
+  if (findBlock(learner.address, { id: learner.id, name: identity.name, roll: identity.roll })) {
+    return 'You are blocked from this class';
+  }
+  const blockedFor = getJoinBlockSeconds(learner.address);
+  if (blockedFor > 0) {
+    return `Too many wrong join codes, try again in ${blockedFor} seconds`;
+  }
+  if (identity.resumeToken && resumeTokens.has(String(identity.resumeToken))) return null;
+  if (isRoomLocked) {
+    return 'The class is locked, ask your educator to unlock it';
+  }
+  if (String(identity.code || '').trim().toUpperCase() !== joinCode) {
+    recordFailedJoin(learner.address);
+    return identity.code ? 'Wrong join code' : 'A join code is needed, ask your educator for it';
+  }
+  return null;
+}
+
+// Display name for a learner, e.g. "Asha (12)"
+function getLearnerLabel(learner) {
+  const name = learner.name || `Learner ${learner.id}`;
+  return learner.roll ? `${name} (${learner.roll})` : name;
+}
+
+// Find a connected learner by roll number
+function findLearnerByRoll(roll) {
+  return getConnectedLearners().find(l => l.roll && l.roll.toLowerCase() === roll.toLowerCase()) || null;
+}
+
+// Send a frame to a single learner
+function sendToLearner(learner, frame) {
+  if (learner.ws.readyState === WebSocket.OPEN) {
+    learner.ws.send(JSON.stringify(frame));
+  }
+}
+
+// Send a frame to every connected learner, returns how many received it
+function broadcast(frame) {
+  const payload = JSON.stringify(frame);
+  const connected = getConnectedLearners();
+  connected.forEach(l => l.ws.send(payload));
+  return connected.length;
+}
+
+// Give a learner the token that lets them resume after a dropped connection
+function issueResumeToken(learner) {
+  if (!learner.resumeToken) {
+    learner.resumeToken = crypto.randomBytes(16).toString('hex');
+    resumeTokens.set(learner.resumeToken, learner.id);
+  }
+  return learner.resumeToken;
+}
+
+// Move a reconnecting learner onto the id behind their resume token
+// Returns false when the token is unknown, e.g. after a server restart
+function resumeLearner(learner, token) {
+  const learnerId = resumeTokens.get(String(token || ''));
+  if (!learnerId) return false;
+  // A half-open socket of the same learner is replaced without a leave event
+  const previous = learners.get(learnerId);
+  if (previous && previous !== learner) {
+    previous.replaced = true;
+    previous.ws.terminate();
+  }
+  learners.delete(learner.id);
+  learner.id = learnerId;
+  learner.resumeToken = String(token);
+  learners.set(learner.id, learner);
+  return true;
+}
+
+// Refresh the roster panel
+function updateRosterDisplay() {
+  if (updateRosterCallback) {
+    updateRosterCallback();
+  }
+}
+
+// Add a learner who said hello to the roster
+// An earlier disconnected entry for the same roll number (or name) is replaced,
+// e.g. when a learner joins again after the server restarted
+function addToRoster(learner) {
+  const key = l => (l.roll ? `roll:${l.roll.toLowerCase()}` : `name:${l.name.toLowerCase()}`);
+  roster.forEach((entry, id) => {
+    if (id !== learner.id && !entry.connected && (entry.roll || entry.name) && key(entry) === key(learner)) {
+      roster.delete(id);
+    }
+  });
+  const now = Date.now();
+  const entry = roster.get(learner.id) || { id: learner.id, joinedAt: now };
+  Object.assign(entry, { name: learner.name, roll: learner.roll, connected: true, lastSeen: now, lastActive: now });
+  roster.set(learner.id, entry);
+  updateRosterDisplay();
+}
+
+// Note that we heard from a learner; chat, answers and doubts also count as activity
+function touchPresence(learner, isActivity) {
+  const entry = roster.get(learner.id);
+  if (!entry || !entry.connected) return;
+  entry.lastSeen = Date.now();
+  if (isActivity) {
+    entry.lastActive = entry.lastSeen;
+    updateRosterDisplay();
+  }
+}
+
+// Presence shown in the roster: active, idle or disconnected
+function getPresence(entry, now = Date.now()) {
+  if (!entry.connected) return 'disconnected';
+  return now - entry.lastActive > PRESENCE_IDLE_MS ? 'idle' : 'active';
+}
+
+// Ping every learner, dropping connections that stopped answering pings
+// Runs every HEARTBEAT_INTERVAL_MS, which also refreshes the roster's last-seen times
+function checkHeartbeats() {
+  const now = Date.now();
+  learners.forEach(learner => {
+    // Sockets that never entered the class do not get to linger
+    if (!learner.admitted && now - learner.connectedAt > HEARTBEAT_TIMEOUT_MS) {
+      learner.ws.terminate();
+      return;
+    }
+    if (now - learner.lastPong > HEARTBEAT_TIMEOUT_MS) {
+      addMessage(`${getLearnerLabel(learner)} stopped responding`, 'system');
+      // The close handler records the leave
+      learner.ws.terminate();
+      return;
+    }
+    if (learner.ws.readyState === WebSocket.OPEN) {
+      learner.ws.ping();
+    }
+  });
+  updateRosterDisplay();
+}
+
+// Show connected learner count in the header
+function updateConnectionStatus() {
+  const count = getConnectedLearners().length;
+  updateStatus(count > 0
+    ? `${count} learner${count !== 1 ? 's' : ''} connected`
+    : 'Waiting for connection...');
+  // The statistics panel shows how many of the connected learners have answered
+  updateStatisticsDisplay();
+}
+
+// Split "--flag [value]" options out of a command argument string
+function parseCommandOptions(text, valueFlags = []) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const options = {};
+  const rest = [];
+  for (let i = 0; i < words.length; i++) {
+    const flag = words[i].match(/^--([a-z-]+)$/i);
+    if (flag) {
+      const name = flag[1].toLowerCase();
+      options[name] = valueFlags.includes(name) ? words[++i] : true;
+    } else {
+      rest.push(words[i]);
+    }
+  }
+  return { text: rest.join(' '), options };
+}
+
+// Resolve a path typed by the educator, expanding ~ to the home directory
+function resolveUserPath(text) {
+  return path.resolve(text.startsWith('~') ? path.join(os.homedir(), text.slice(1)) : text);
+}
+
+// Learner-facing quiz payload: never includes the answer key
+function toLearnerQuiz(quiz) {
+  return {
+    id: quiz.id,
+    type: getQuizType(quiz),
+    question: quiz.question,
+    options: isChoiceQuiz(quiz) ? quiz.options : [],
+    unit: quiz.unit || null,
+    startTime: quiz.startTime,
+    timeLimit: quiz.timeLimit || 0,
+    timeRemaining: quiz.deadline ? Math.max(0, quiz.deadline - Date.now()) : null,
+    set: quiz.setPosition || null,
+    hintPenalties: quiz.hintPenalties || []
+  };
+}
+
+// Total penalty (percent) for using the first `depth` hint levels of a quiz
+function getHintPenalty(quiz, depth) {
+  return (quiz.hintPenalties || []).slice(0, depth).reduce((sum, p) => sum + p, 0);
+}
+
+// Score (percent) for an answer: hint penalties only reduce a correct answer
+function scoreAnswer(quiz, isCorrect, depth) {
+  return isCorrect ? Math.max(0, 100 - getHintPenalty(quiz, depth)) : 0;
+}
+
+// Score of an answer record, including answers saved before hint penalties existed
+function getAnswerScore(answer) {
+  return typeof answer.score === 'number' ? answer.score : (answer.isCorrect ? 100 : 0);
+}
+
+// Seconds left before the current quiz closes, or null if it has no time limit
+function getQuizTimeRemaining(quiz = currentQuiz) {
+  if (!quiz || !quiz.deadline) return null;
+  return Math.max(0, Math.ceil((quiz.deadline - Date.now()) / 1000));
+}
+
+// Stop accepting answers for the current quiz and finalize its statistics
+function closeQuiz(reason) {
+  if (quizCloseTimer) {
+    clearTimeout(quizCloseTimer);
+    quizCloseTimer = null;
+  }
+  if (!currentQuiz || !quizStatistics || quizStatistics.closed) return;
+  quizStatistics.closed = true;
+  quizStatistics.closedAt = Date.now();
+  quizStatistics.closeReason = reason;
+  recordEvent('quiz_close', { quizId: currentQuiz.id, reason: reason });
+  broadcast({ type: 'quiz_closed', data: { quizId: currentQuiz.id, reason: reason } });
+  updateStatisticsDisplay();
+}
+
+// Make a quiz the active one and send it to every learner
+function startQuiz(quiz, settings = {}) {
+  quiz.id = `q${nextQuizId++}`;
+  quiz.holdFeedback = HOLD_FEEDBACK_UNTIL_REVEAL || settings.reveal === true;
+  quiz.revealed = false;
+  // Start time is used for response time calculation
+  quiz.startTime = Date.now();
+  quiz.timeLimit = settings.time || 0;
+  quiz.deadline = quiz.timeLimit > 0 ? quiz.startTime + quiz.timeLimit * 1000 : null;
+  // Penalties are fixed when the quiz is sent, so /hintpenalty only affects later quizzes
+  quiz.hintPenalties = hintPenalties.slice();
+  if (quizCloseTimer) {
+    clearTimeout(quizCloseTimer);
+    quizCloseTimer = null;
+  }
+  currentQuiz = quiz;
+  // Hints and explanations are only served for the current quiz
+  quizHintCache.clear();
+  quizExplanationCache.clear();
+  quizStatistics = {
+    answers: [],
+    hintsUsed: 0,
+    hintsByLearner: {},
+    startTime: quiz.startTime
+  };
+  showStatistics = true;
+  updateStatisticsDisplay();
+  recordEvent('quiz_start', { quiz: quiz });
+  if (quiz.bankId) {
+    try {
+      recordBankUsage(quiz.bankId, currentSession ? currentSession.id : null);
+    } catch (error) {
+      addMessage(`Could not update question bank: ${error.message}`, 'system');
+    }
+  }
+  const recipients = broadcast({ type: 'quiz', data: toLearnerQuiz(quiz) });
+  const position = quiz.setPosition ? ` (${quiz.setPosition.index}/${quiz.setPosition.total})` : '';
+  addMessage(`Quiz${position} sent to ${recipients} learner${recipients !== 1 ? 's' : ''}: ${quiz.question}`, 'system');
+  if (quiz.holdFeedback) {
+    addMessage('Feedback is held until you type /reveal', 'system');
+  }
+  if (quiz.deadline) {
+    quizCloseTimer = setTimeout(() => {
+      quizCloseTimer = null;
+      if (currentQuiz !== quiz) return;
+      closeQuiz('Time is up');
+      const count = quizStatistics.answers.length;
+      addMessage(`Time is up for "${quiz.question}": ${count} answer${count !== 1 ? 's' : ''} received. Statistics finalized.`, 'system');
+    }, quiz.timeLimit * 1000);
+  }
+  return recipients;
+}
+
+// Send the next question of the running quiz set, or finish it after the last one
+function advanceQuizSet() {
+  const set = currentQuizSet;
+  if (!set || set.finished) return;
+  if (set.timer) {
+    clearTimeout(set.timer);
+    set.timer = null;
+  }
+  // Learners waiting on held feedback get it before the next question
+  if (currentQuiz && currentQuiz.setId === set.id && currentQuiz.holdFeedback && !currentQuiz.revealed) {
+    revealQuizFeedback();
+  }
+  if (set.index + 1 >= set.quizzes.length) {
+    finishQuizSet();
+    return;
+  }
+  set.index++;
+  const quiz = set.quizzes[set.index];
+  quiz.setId = set.id;
+  quiz.setPosition = { index: set.index + 1, total: set.quizzes.length };
+  startQuiz(quiz, set.settings);
+  set.results.push({ quiz: quiz, statistics: quizStatistics });
+  if (set.interval) {
+    set.timer = setTimeout(advanceQuizSet, set.interval * 1000);
+  }
+}
+
+// Close the quiz set and send every learner their final score
+function finishQuizSet() {
+  const set = currentQuizSet;
+  if (!set || set.finished) return;
+  if (set.timer) {
+    clearTimeout(set.timer);
+    set.timer = null;
+  }
+  set.finished = true;
+  recordEvent('quiz_set_complete', { setId: set.id, topic: set.topic, scores: set.scores });
+  // No more answers once the set is over
+  if (currentQuiz && currentQuiz.setId === set.id) {
+    closeQuiz('The quiz set has ended');
+  }
+  getConnectedLearners().forEach(l => {
+    const score = set.scores[l.id];
+    sendToLearner(l, {
+      type: 'quiz_set_complete',
+      data: {
+        topic: set.topic,
+        correct: score ? score.correct : 0,
+        points: score ? Math.round(score.points * 100) / 100 : 0,
+        answered: score ? score.answered : 0,
+        total: set.quizzes.length
+      }
+    });
+  });
+  addMessage(`Quiz set "${set.topic}" complete`, 'system');
+  updateStatisticsDisplay();
+}
+
+// Stop a running set early, e.g. when a standalone quiz replaces it
+function cancelQuizSet() {
+  if (currentQuizSet && !currentQuizSet.finished) {
+    finishQuizSet();
+  }
+  currentQuizSet = null;
+}
+
+// Start an approved quiz set and send its first question
+function startQuizSet(topic, quizzes, interval, settings) {
+  cancelQuizSet();
+  currentQuizSet = {
+    id: `set${nextQuizSetId++}`,
+    topic: topic,
+    quizzes: quizzes,
+    index: -1,
+    interval: interval,
+    settings: settings,
+    timer: null,
+    finished: false,
+    results: [],
+    scores: {} // learner id -> { learnerId, name, correct, points, answered, totalTime }
+  };
+  recordEvent('quiz_set_start', { setId: currentQuizSet.id, topic: topic, count: quizzes.length, interval: interval });
+  addMessage(interval > 0
+    ? `Quiz set started: a new question every ${interval}s`
+    : 'Quiz set started: type /next to move to the next question', 'system');
+  advanceQuizSet();
+}
+
+// Update the quiz preview panel
+function updatePreviewDisplay() {
+  if (updatePreviewCallback) {
+    updatePreviewCallback();
+  }
+}
+
+// Hold a generated quiz (or set) for the educator to review before sending
+function setPendingQuiz(pending) {
+  if (pendingQuiz) {
+    addMessage('Previous unsent quiz draft discarded', 'system');
+  }
+  pendingQuiz = pending;
+  pendingQuiz.quizzes.forEach(quiz => {
+    quiz.topic = pending.topic;
+    checkPendingQuiz(quiz);
+  });
+  updatePreviewDisplay();
+  addMessage('Review the quiz below. /edit to change it, /regen to regenerate, /send to send it to learners.', 'system');
+}
+
+// Re-validate a draft after an edit so problems show in the preview
+function checkPendingQuiz(quiz) {
+  const result = validateQuiz(quiz);
+  quiz.problems = result.errors;
+}
+
+// Approve the draft and send it to learners
+function sendPendingQuiz() {
+  const pending = pendingQuiz;
+  const invalid = pending.quizzes.findIndex(q => q.problems.length > 0);
+  if (invalid !== -1) {
+    addMessage(`Question ${invalid + 1} has problems: ${pending.quizzes[invalid].problems.join('; ')}. Fix it with /edit before sending.`, 'system');
+    return;
+  }
+  if (getConnectedLearners().length === 0) {
+    addMessage('No learner connected', 'system');
+    return;
+  }
+  pendingQuiz = null;
+  updatePreviewDisplay();
+  const quizzes = pending.quizzes.map(q => {
+    const approved = { ...q };
+    delete approved.problems;
+    return approved;
+  });
+  if (pending.kind === 'set') {
+    startQuizSet(pending.topic, quizzes, pending.interval, pending.settings);
+  } else {
+    cancelQuizSet();
+    startQuiz(quizzes[0], pending.settings);
+  }
+}
+
+// Apply an /edit command to the draft, e.g. "2 option B Chlorophyll"
+function editPendingQuiz(args) {
+  const usage = 'Usage: /edit [n] question <text> | option <letter> <text> | correct <letter(s)> | answer <value> | tolerance <number> | keywords <a, b> | explanation <text>';
+  const match = args.match(/^(?:(\d+)\s+)?(question|option|correct|answer|tolerance|keywords|explanation)\b\s*(.*)$/i);
+  if (!match) {
+    addMessage(usage, 'system');
+    return;
+  }
+  const number = match[1] ? parseInt(match[1], 10) : 1;
+  const quiz = pendingQuiz.quizzes[number - 1];
+  if (!quiz) {
+    addMessage(`No question ${number} in the draft (it has ${pendingQuiz.quizzes.length})`, 'system');
+    return;
+  }
+  const field = match[2].toLowerCase();
+  const value = match[3].trim();
+  const type = getQuizType(quiz);
+  const fieldsByType = {
+    mcq: ['option', 'correct'],
+    truefalse: ['correct'],
+    multi: ['option', 'correct'],
+    numeric: ['answer', 'tolerance'],
+    text: ['answer', 'keywords']
+  };
+  if (field !== 'question' && field !== 'explanation' && !fieldsByType[type].includes(field)) {
+    addMessage(`A ${describeQuizType(type).toLowerCase()} question has no ${field} to edit`, 'system');
+    return;
+  }
+  const letterIndex = letter => letter.toUpperCase().charCodeAt(0) - 65;
+
+  if (field === 'question' || field === 'answer') {
+    if (!value) {
+      addMessage(usage, 'system');
+      return;
+    }
+    if (field === 'question') {
+      quiz.question = value;
+    } else {
+      // Numeric answers stay strings when invalid so the problem shows in the preview
+      quiz.answer = type === 'numeric' && Number.isFinite(Number(value)) ? Number(value) : value;
+    }
+  } else if (field === 'option') {
+    const optionMatch = value.match(/^([A-Za-z])\s+(.+)$/);
+    if (!optionMatch || letterIndex(optionMatch[1]) >= quiz.options.length) {
+      addMessage(usage, 'system');
+      return;
+    }
+    quiz.options[letterIndex(optionMatch[1])] = optionMatch[2].trim();
+  } else if (field === 'correct') {
+    const letters = value.split(/[\s,]+/).filter(Boolean);
+    const valid = letters.length > 0 && letters.every(l => /^[A-Za-z]$/.test(l) && letterIndex(l) < quiz.options.length);
+    if (!valid || (type !== 'multi' && letters.length > 1)) {
+      addMessage(usage, 'system');
+      return;
+    }
+    const indexes = [...new Set(letters.map(letterIndex))].sort((x, y) => x - y);
+    quiz.correct = type === 'multi' ? indexes : indexes[0];
+  } else if (field === 'tolerance') {
+    const tolerance = Number(value);
+    if (!value || !Number.isFinite(tolerance) || tolerance < 0) {
+      addMessage(usage, 'system');
+      return;
+    }
+    quiz.tolerance = tolerance;
+  } else if (field === 'keywords') {
+    quiz.keywords = value.split(',').map(k => k.trim()).filter(Boolean);
+    // Without keywords the model grades the answers
+    quiz.grading = quiz.keywords.length > 0 ? 'keywords' : 'llm';
+  } else if (field === 'explanation') {
+    if (value) {
+      quiz.explanation = value;
+    } else {
+      delete quiz.explanation;
+    }
+  }
+  // The model's explanation may no longer match; it is generated again when learners answer
+  if (field !== 'explanation' && quiz.explanation) {
+    delete quiz.explanation;
+    addMessage('Explanation removed, add your own with /edit explanation <text>', 'system');
+  }
+  // An edited question is no longer the one stored in the bank
+  delete quiz.bankId;
+  checkPendingQuiz(quiz);
+  updatePreviewDisplay();
+  addMessage(`Question ${number} updated${quiz.problems.length > 0 ? ` - problems: ${quiz.problems.join('; ')}` : ''}`, 'system');
+}
+
+// Build the feedback frame data for an answer
+function buildFeedback(quiz, answer) {
+  const isCorrect = answer.isCorrect;
+  const score = getAnswerScore(answer);
+  const feedback = {
+    quizId: quiz.id,
+    correct: isCorrect,
+    score: score,
+    message: isCorrect
+      ? (score < 100 ? `Correct answer! Score: ${score}% after a ${100 - score}% hint penalty` : 'Correct answer!')
+      : `Wrong answer. The correct answer is ${formatCorrectAnswer(quiz)}`
+  };
+  // Running score when the quiz is part of a set
+  if (currentQuizSet && quiz.setId === currentQuizSet.id) {
+    const setScore = currentQuizSet.scores[answer.learnerId];
+    feedback.setScore = {
+      correct: setScore ? setScore.correct : 0,
+      points: setScore ? Math.round(setScore.points * 100) / 100 : 0,
+      answered: setScore ? setScore.answered : 0,
+      total: currentQuizSet.quizzes.length
+    };
+  }
+  return feedback;
+}
+
+// Acknowledge an answer whose feedback is held until /reveal
+function sendPendingFeedback(learner, quiz) {
+  sendToLearner(learner, {
+    type: 'quiz_feedback',
+    data: {
+      quizId: quiz.id,
+      pending: true,
+      message: 'Answer received. Your educator will reveal the result.'
+    }
+  });
+}
+
+// Send an answer's feedback, followed by the explanation once it is ready
+function sendFeedback(learner, quiz, answer) {
+  sendToLearner(learner, { type: 'quiz_feedback', data: buildFeedback(quiz, answer) });
+  getQuizExplanation(quiz, answer).then(explanation => {
+    if (explanation) {
+      sendToLearner(learner, {
+        type: 'quiz_explanation',
+        data: { quizId: quiz.id, explanation: explanation }
+      });
+    }
+  });
+}
+
+// Class results shown to learners on reveal: the correct answer and the answer
+// distribution, without any names
+function buildClassResults(quiz, statistics) {
+  const stats = calculateStatistics(quiz, statistics);
+  return {
+    quizId: quiz.id,
+    correctAnswer: formatCorrectAnswer(quiz),
+    totalAnswered: stats.totalAnswered,
+    averageScore: stats.averageScore,
+    distribution: {
+      title: stats.distribution.title,
+      entries: stats.distribution.entries.map(e => ({ label: e.label, count: e.count, correct: e.correct })),
+      freeForm: stats.distribution.freeForm
+    }
+  };
+}
+
+// Reveal the current quiz: answers close, every learner who answered gets their
+// held feedback and every connected learner gets the class results
+function revealQuizFeedback() {
+  currentQuiz.revealed = true;
+  recordEvent('quiz_reveal', { quizId: currentQuiz.id });
+  // Once the answer is out, later answers would not mean anything
+  closeQuiz('Answers revealed');
+  let delivered = 0;
+  quizStatistics.answers.forEach(a => {
+    const learner = learners.get(a.learnerId);
+    if (learner) {
+      sendFeedback(learner, currentQuiz, a);
+      delivered++;
+    }
+  });
+  broadcast({ type: 'quiz_results', data: buildClassResults(currentQuiz, quizStatistics) });
+  return delivered;
+}
+
 // Update loading state
-function setGeneratingQuiz(generating) {
+function setGeneratingQuiz(generating, label = 'Generating quiz...') {
   isGeneratingQuiz = generating;
+  generatingLabel = label;
   if (updateLoadingCallback) {
     updateLoadingCallback();
   }
@@ -147,157 +924,483 @@ function updateDoubtsDisplay() {
   }
 }
 
+// Doubts by upvotes, most upvoted first
+function sortDoubtsByVotes(doubts) {
+  return doubts.slice().sort((a, b) => b.votes.length - a.votes.length || a.id - b.id);
+}
+
+// Anonymous doubt board for one learner: no names, only which doubts are theirs or upvoted by them
+function buildDoubtBoard(learner) {
+  return sortDoubtsByVotes(doubtCollection).map(d => ({
+    id: d.id,
+    text: d.text,
+    votes: d.votes.length,
+    mine: d.learnerId === learner.id,
+    voted: d.votes.includes(learner.id)
+  }));
+}
+
+// Send the live doubt board to every connected learner
+function broadcastDoubtBoard() {
+  getConnectedLearners().forEach(l => {
+    sendToLearner(l, { type: 'doubt_board', data: { doubts: buildDoubtBoard(l) } });
+  });
+}
+
 // Calculate statistics
-function calculateStatistics() {
-  if (!quizStatistics || !currentQuiz) {
+function calculateStatistics(quiz = currentQuiz, statistics = quizStatistics) {
+  if (!statistics || !quiz) {
     return {
       totalAnswered: 0,
       averageScore: 0,
       avgResponseTime: 0,
       hintsUsed: 0,
-      optionCounts: { A: 0, B: 0, C: 0, D: 0 }
+      hintDepth: [],
+      distribution: { title: 'Option Distribution', entries: [], summary: null, freeForm: false },
+      responseHistogram: [],
+      progress: { answered: 0, connected: getConnectedLearners().length }
     };
   }
 
-  const answers = quizStatistics.answers;
+  // How far each learner went into the hint levels
+  const hintDepth = Object.keys(statistics.hintsByLearner || {}).map(id => {
+    const learnerId = Number(id);
+    const learner = learners.get(learnerId);
+    const answer = statistics.answers.find(a => a.learnerId === learnerId);
+    return {
+      learnerId: learnerId,
+      name: learner ? getLearnerLabel(learner) : answer ? answer.learnerName : `Learner ${learnerId}`,
+      depth: statistics.hintsByLearner[id]
+    };
+  }).sort((a, b) => b.depth - a.depth);
+
+  const answers = statistics.answers;
   if (answers.length === 0) {
     return {
       totalAnswered: 0,
       averageScore: 0,
       avgResponseTime: 0,
-      hintsUsed: quizStatistics.hintsUsed || 0,
-      optionCounts: { A: 0, B: 0, C: 0, D: 0 }
+      hintsUsed: statistics.hintsUsed || 0,
+      hintDepth: hintDepth,
+      distribution: buildDistribution(quiz, []),
+      responseHistogram: buildResponseHistogram(quiz, []),
+      progress: getAnswerProgress(statistics),
+      closed: !!statistics.closed,
+      timeRemaining: getQuizTimeRemaining(quiz)
     };
   }
 
   const totalAnswered = answers.length;
-  const correctCount = answers.filter(a => a.isCorrect).length;
-  const averageScore = totalAnswered > 0 ? (correctCount / totalAnswered) * 100 : 0;
+  // Average of the answer scores, so hint penalties lower the class average
+  const averageScore = answers.reduce((sum, a) => sum + getAnswerScore(a), 0) / totalAnswered;
   
-  const responseTimes = answers.map(a => a.responseTime).filter(t => t > 0);
+  // Answers without a usable response time are left out of the average
+  const responseTimes = answers.map(a => a.responseTime).filter(t => Number.isFinite(t) && t > 0);
   const avgResponseTime = responseTimes.length > 0
     ? responseTimes.reduce((sum, t) => sum + t, 0) / responseTimes.length
     : 0;
 
-  // Calculate option distribution (A, B, C, D)
-  const optionCounts = { A: 0, B: 0, C: 0, D: 0 };
-  answers.forEach(a => {
-    const option = String.fromCharCode(65 + a.answerIndex); // A=0, B=1, C=2, D=3
-    if (optionCounts.hasOwnProperty(option)) {
-      optionCounts[option]++;
-    }
-  });
 
   return {
     totalAnswered,
     averageScore: Math.round(averageScore * 10) / 10,
     avgResponseTime: Math.round(avgResponseTime / 1000 * 10) / 10, // Convert to seconds, round to 1 decimal
-    hintsUsed: quizStatistics.hintsUsed || 0,
-    optionCounts: optionCounts
+    hintsUsed: statistics.hintsUsed || 0,
+    hintDepth: hintDepth,
+    distribution: buildDistribution(quiz, answers),
+    responseHistogram: buildResponseHistogram(quiz, answers),
+    progress: getAnswerProgress(statistics),
+    closed: !!statistics.closed,
+    timeRemaining: getQuizTimeRemaining(quiz)
   };
 }
 
-// Function to call Ollama API
-function generateQuiz(topic) {
-  return new Promise((resolve, reject) => {
-    const prompt = `Create a quiz question about "${topic}". Format your response as JSON with this exact structure:
-{
+// How many of the connected learners have answered
+function getAnswerProgress(statistics) {
+  const connected = getConnectedLearners();
+  return {
+    answered: connected.filter(l => statistics.answers.some(a => a.learnerId === l.id)).length,
+    connected: connected.length
+  };
+}
+
+// Count answers per response time bucket, e.g. "0-5s", "5-10s", ..., "60s+"
+// A timed quiz splits its time limit into up to six equal buckets
+function buildResponseHistogram(quiz, answers) {
+  let edges = RESPONSE_TIME_BUCKETS;
+  if (quiz.timeLimit) {
+    const step = Math.ceil(quiz.timeLimit / 6);
+    edges = Array.from({ length: Math.ceil(quiz.timeLimit / step) }, (_, i) => Math.min((i + 1) * step, quiz.timeLimit));
+  }
+  const buckets = edges.map((edge, i) => ({ label: `${i === 0 ? 0 : edges[i - 1]}-${edge}s`, count: 0 }));
+  if (!quiz.timeLimit) {
+    buckets.push({ label: `${edges[edges.length - 1]}s+`, count: 0 });
+  }
+  answers.forEach(a => {
+    if (!Number.isFinite(a.responseTime)) return;
+    // Answers in the grace period after a deadline go in the last bucket
+    const index = edges.findIndex(edge => a.responseTime / 1000 < edge);
+    buckets[index === -1 ? buckets.length - 1 : index].count++;
+  });
+  return buckets;
+}
+
+// Answer breakdown for the statistics panel, depending on the question type
+// Choice questions count each option, free-form questions list the most common answers
+function buildDistribution(quiz, answers) {
+  const type = getQuizType(quiz);
+  if (isChoiceQuiz(quiz)) {
+    const entries = quiz.options.map((option, i) => ({
+      label: type === 'truefalse' ? option : optionLetter(i),
+      count: 0,
+      correct: type === 'multi' ? quiz.correct.includes(i) : i === quiz.correct
+    }));
+    answers.forEach(a => {
+      const chosen = type === 'multi' ? (a.answerIndexes || []) : [a.answerIndex];
+      chosen.forEach(i => {
+        if (entries[i]) entries[i].count++;
+      });
+    });
+    const fullyCorrect = answers.filter(a => a.isCorrect).length;
+    return {
+      title: type === 'multi' ? 'Option Selections' : 'Option Distribution',
+      entries: entries,
+      summary: type === 'multi' && answers.length > 0 ? `All correct options chosen: ${fullyCorrect} of ${answers.length}` : null,
+      freeForm: false
+    };
+  }
+
+  // Group equal answers, most common first
+  const groups = new Map();
+  answers.forEach(a => {
+    const label = type === 'numeric' ? String(a.value) : a.text;
+    const key = type === 'numeric' ? label : normalizeText(label);
+    if (!groups.has(key)) {
+      groups.set(key, { label: label, count: 0, correct: a.isCorrect });
+    }
+    groups.get(key).count++;
+  });
+  const entries = [...groups.values()].sort((x, y) => y.count - x.count).slice(0, 5);
+
+  let summary;
+  if (type === 'numeric') {
+    const values = answers.map(a => a.value).sort((x, y) => x - y);
+    const median = values.length > 0 ? values[Math.floor((values.length - 1) / 2)] : null;
+    summary = `Correct: ${formatCorrectAnswer(quiz)}${values.length > 0 ? ` | Range: ${values[0]} to ${values[values.length - 1]} | Median: ${median}` : ''}`;
+  } else {
+    summary = `Model answer: ${quiz.answer} | ${quiz.grading === 'llm' ? 'Graded by AI' : `Keywords: ${quiz.keywords.join(', ')}`}`;
+  }
+  return { title: 'Most Common Answers', entries: entries, summary: summary, freeForm: true };
+}
+
+// Calculate per-question and whole-set statistics for the current quiz set
+function calculateSetStatistics() {
+  if (!currentQuizSet) return null;
+  const set = currentQuizSet;
+  const perQuestion = set.results.map((r, i) => {
+    const stats = calculateStatistics(r.quiz, r.statistics);
+    return {
+      number: i + 1,
+      question: r.quiz.question,
+      totalAnswered: stats.totalAnswered,
+      averageScore: stats.averageScore
+    };
+  });
+  const leaderboard = Object.values(set.scores)
+    .sort((a, b) => b.points - a.points || a.totalTime - b.totalTime);
+  const totalPoints = leaderboard.reduce((sum, s) => sum + s.points, 0);
+  const totalAnswered = leaderboard.reduce((sum, s) => sum + s.answered, 0);
+  return {
+    topic: set.topic,
+    current: set.index + 1,
+    total: set.quizzes.length,
+    finished: set.finished,
+    perQuestion: perQuestion,
+    leaderboard: leaderboard,
+    averageScore: totalAnswered > 0 ? Math.round(totalPoints / totalAnswered * 1000) / 10 : 0
+  };
+}
+
+// Quiz from a question bank entry, ready to send
+function quizFromBank(entry) {
+  return { ...validateQuiz(entry).quiz, topic: entry.topic, bankId: entry.id };
+}
+
+// JSON structure asked from the model for each question type
+const QUIZ_PROMPT_FORMATS = {
+  mcq: `{
   "question": "Your question here",
   "options": ["Option A", "Option B", "Option C", "Option D"],
-  "correct": 0,1,2,3
+  "correct": 2,
+  "explanation": "One short sentence on why the correct answer is right"
+}
+Where "correct" is the index (0-3) of the correct answer.`,
+  truefalse: `{
+  "type": "truefalse",
+  "question": "A statement that is either true or false",
+  "correct": true,
+  "explanation": "One short sentence on why the statement is true or false"
+}
+Where "correct" is true or false.`,
+  multi: `{
+  "type": "multi",
+  "question": "Your question here, asking the learner to select all that apply",
+  "options": ["Option A", "Option B", "Option C", "Option D"],
+  "correct": [0, 2],
+  "explanation": "One short sentence on why those options are right"
+}
+Where "correct" lists the indexes (0-3) of EVERY correct option, at least one.`,
+  numeric: `{
+  "type": "numeric",
+  "question": "A question whose answer is a single number",
+  "answer": 42,
+  "tolerance": 0,
+  "unit": "unit of the answer, or an empty string",
+  "explanation": "One short sentence on how the answer is found"
+}
+Where "answer" is a number and "tolerance" is how far off an answer may be and still count as correct.`,
+  text: `{
+  "type": "text",
+  "question": "A question answered in a word or short phrase",
+  "answer": "The model answer",
+  "keywords": ["keyword"],
+  "explanation": "One short sentence on why the answer is right"
+}
+Where "keywords" lists the one to three words every correct answer must contain.`
+};
+
+// Generate a quiz question of the type with the configured LLM provider
+async function generateQuiz(topic, previousQuestions = [], useBank = USE_QUESTION_BANK, type = 'mcq') {
+  if (useBank) {
+    try {
+      const stored = pickFromBank(topic, previousQuestions, type);
+      if (stored) {
+        addMessage(`Using question ${stored.id} from the question bank`, 'system');
+        return quizFromBank(stored);
+      }
+    } catch (error) {
+      addMessage(`Question bank unavailable: ${error.message}`, 'system');
+    }
+  }
+
+  const avoid = previousQuestions.length > 0
+    ? `\nDo NOT repeat any of these questions:\n${previousQuestions.map(q => `- ${q}`).join('\n')}\n`
+    : '';
+  const kind = type === 'mcq' ? '' : ` ${describeQuizType(type).toLowerCase()}`;
+  const prompt = `Create a${kind} quiz question about "${topic}".${avoid} Format your response as JSON with this exact structure:
+${QUIZ_PROMPT_FORMATS[type]} Return ONLY the JSON, no other text.`;
+
+  // Ask again when the model returns a malformed quiz
+  for (let attempt = 1; attempt <= QUIZ_GENERATION_ATTEMPTS; attempt++) {
+    let text;
+    try {
+      text = await llm.generate(prompt, {
+        model: llmConfig.educatorModel,
+        task: 'quiz',
+        context: { topic, previousQuestions, type }
+      });
+    } catch (error) {
+      // The provider itself failed, asking again will not help
+      addMessage(`AI error: ${error.message}. Using a placeholder quiz.`, 'system');
+      return createFallbackQuiz(topic, type);
+    }
+
+    const result = parseQuizText(text);
+    if (result.quiz && getQuizType(result.quiz) !== type) {
+      result.errors.push(`expected a ${describeQuizType(type).toLowerCase()} question, got ${describeQuizType(getQuizType(result.quiz)).toLowerCase()}`);
+    } else if (result.quiz) {
+      if (result.repairs.length > 0) {
+        addMessage(`Quiz repaired: ${result.repairs.join('; ')}`, 'system');
+      }
+      return result.quiz;
+    }
+    addMessage(`Quiz attempt ${attempt}/${QUIZ_GENERATION_ATTEMPTS} rejected: ${result.errors.join('; ')}`, 'system');
+  }
+
+  addMessage(`No valid quiz for "${topic}" after ${QUIZ_GENERATION_ATTEMPTS} attempts. Using a placeholder quiz.`, 'system');
+  return createFallbackQuiz(topic, type);
+}
+
+const FALLBACK_HINT = 'Think about the key concepts in the question.';
+
+// How strong each hint level is, from a vague nudge to a strong clue
+const HINT_LEVEL_GUIDANCE = [
+  'This is the FIRST hint: a vague nudge. Only point to the general concept or idea the learner should think about.',
+  'This is the SECOND hint: more specific. Narrow down what the learner should consider, building on the earlier hint.',
+  'This is the FINAL hint: a strong clue. Help the learner rule out wrong answers, but still do not give the correct answer.'
+];
+
+// Generate a Socratic hint for one level of a quiz with the configured LLM provider
+async function generateHint(quiz, level, previousHints) {
+  const guidance = HINT_LEVEL_GUIDANCE[Math.min(level, HINT_LEVEL_GUIDANCE.length) - 1];
+  const options = level > 1 && isChoiceQuiz(quiz)
+    ? `\nOptions:\n${quiz.options.map((o, i) => `${String.fromCharCode(65 + i)}. ${o}`).join('\n')}\n`
+    : '';
+  const earlier = previousHints.length > 0
+    ? `\nHints already given:\n${previousHints.map((h, i) => `${i + 1}. ${h}`).join('\n')}\n`
+    : '';
+  const prompt = `Question: "${quiz.question}"
+${options}${earlier}
+Provide a Socratic reasoning hint for this question. ${guidance} A Socratic hint should:
+- Guide the learner to think through the problem
+- Ask leading questions rather than giving direct answers
+- IT IS IMPORTANT DO NOT GIVE ANSWER, I REPEAT DO NOT GIVE ANSWER
+- Help them reason through the concepts
+- Be VERY SHORT: Maximum 1-2 lines (20-30 words maximum)
+- Do NOT write paragraphs or long explanations
+
+CRITICAL: Keep it extremely brief - just one or two short sentences. Provide only the hint, no additional explanation.`;
+
+  const text = await llm.generate(prompt, {
+    model: llmConfig.learnerModel,
+    task: 'hint',
+    context: { question: quiz.question, level: level }
+  });
+  return shortenHint(text);
+}
+
+// Keep hints to at most 2 lines and 150 characters
+function shortenHint(text) {
+  let hint = (text || '').trim() || FALLBACK_HINT;
+  // Truncate to 2 lines maximum (approximately 150 characters)
+  const lines = hint.split('\n');
+  if (lines.length > 2) {
+    hint = lines.slice(0, 2).join(' ').trim();
+  }
+  // Limit to 150 characters max
+  if (hint.length > 150) {
+    hint = hint.substring(0, 147) + '...';
+  }
+  return hint;
 }
-Where "correct" is the index (0-3) of the correct answer. Return ONLY the JSON, no other text.`;
 
-    // Try API first (port 11434 is default Ollama API port)
-    const postData = JSON.stringify({
-      model: OLLAMA_MODELS.EDUCATOR_MODEL,
-      prompt: prompt,
-      stream: false
+// Hint level for the quiz, generated once and shared by every learner who asks
+function getQuizHint(quiz, level) {
+  const key = `${quiz.id}:${level}`;
+  if (!quizHintCache.has(key)) {
+    const promise = (async () => {
+      // Each level builds on the ones before it, which are already cached
+      const previousHints = [];
+      for (let l = 1; l < level; l++) {
+        previousHints.push(await getQuizHint(quiz, l));
+      }
+      return generateHint(quiz, level, previousHints);
+    })().catch(error => {
+      // Do not cache the failure, the next request tries the model again
+      quizHintCache.delete(key);
+      addMessage(`Hint generation failed: ${error.message}`, 'system');
+      return FALLBACK_HINT;
     });
+    quizHintCache.set(key, promise);
+  }
+  return quizHintCache.get(key);
+}
 
-    const options = {
-      hostname: 'localhost',
-      port: 11434,
-      path: '/api/generate',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
+// Generate a short explanation of an answer with the configured LLM provider
+async function generateExplanation(quiz, answer) {
+  const given = formatSubmission(quiz, answer);
+  const task = answer.isCorrect
+    ? `The learner answered ${given}, which is correct. In one or two short sentences, explain why it is right.`
+    : `The learner answered ${given}, which is wrong. In two short sentences, explain why ${given} is wrong and why ${formatCorrectAnswer(quiz)} is right.`;
+  const options = isChoiceQuiz(quiz)
+    ? `Options:\n${quiz.options.map((o, i) => `${optionLetter(i)}. ${o}`).join('\n')}\n`
+    : '';
+  const known = quiz.explanation ? `\nTeacher's note on the correct answer: ${quiz.explanation}\n` : '';
+  const prompt = `Question: "${quiz.question}"
+${options}Correct answer: ${formatCorrectAnswer(quiz)}
+${known}
+${task} Speak directly to the learner. Provide only the explanation, no other text.`;
 
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          const responseText = response.response || '';
-          const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const quiz = JSON.parse(jsonMatch[0]);
-            // Ensure options are strings
-            if (quiz.options && Array.isArray(quiz.options)) {
-              quiz.options = quiz.options.map(opt => String(opt));
-            }
-            resolve(quiz);
-          } else {
-            resolve(createFallbackQuiz(topic));
-          }
-        } catch (error) {
-          tryCommandLine(prompt, topic, resolve, reject);
-        }
-      });
-    });
+  const text = await llm.generate(prompt, {
+    model: llmConfig.educatorModel,
+    task: 'explanation',
+    context: { quiz: quiz, answer: answer }
+  });
+  return shortenExplanation(text);
+}
 
-    req.on('error', () => {
-      tryCommandLine(prompt, topic, resolve, reject);
+// Answers that share an explanation: each choice for option questions,
+// right or wrong for numeric and short answers, whose exact wording varies
+function explanationKey(quiz, answer) {
+  const type = getQuizType(quiz);
+  if (type === 'multi') return answer.answerIndexes.join(',');
+  if (type === 'numeric' || type === 'text') return answer.isCorrect ? 'correct' : 'wrong';
+  return String(answer.answerIndex);
+}
+
+// Ask the model whether a short answer means the same as the model answer
+// Falls back to comparing the text when the model fails
+async function gradeWithModel(quiz, text) {
+  const prompt = `Question: "${quiz.question}"
+Model answer: "${quiz.answer}"
+Learner's answer: "${text}"
+
+Does the learner's answer mean the same as the model answer? Ignore spelling mistakes and wording. Reply with only YES or NO.`;
+  try {
+    const reply = await llm.generate(prompt, {
+      model: llmConfig.educatorModel,
+      task: 'grade',
+      context: { quiz: quiz, text: text }
     });
+    const verdict = String(reply || '').replace(/<think>[\s\S]*?<\/think>/gi, '').trim().toLowerCase();
+    if (/^(yes|correct|true)\b/.test(verdict)) return true;
+    if (/^(no|incorrect|wrong|false)\b/.test(verdict)) return false;
+    throw new Error(`unclear reply "${verdict.substring(0, 30)}"`);
+  } catch (error) {
+    addMessage(`AI grading failed: ${error.message}. Comparing with the model answer instead.`, 'system');
+    return normalizeText(text) === normalizeText(quiz.answer);
+  }
+}
 
-    req.write(postData);
-    req.end();
-  });
+// Keep explanations to one short paragraph
+function shortenExplanation(text) {
+  let explanation = String(text || '').replace(/<think>[\s\S]*?<\/think>/gi, '').replace(/\s+/g, ' ').trim();
+  if (explanation.length > 300) {
+    explanation = explanation.substring(0, 297) + '...';
+  }
+  return explanation;
 }
 
-// Fallback to command line
-function tryCommandLine(prompt, topic, resolve, reject) {
-  exec(`ollama run ${FALLBACK_MODEL} "${prompt.replace(/"/g, '\\"')}"`, { maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
-    if (error) {
-      resolve(createFallbackQuiz(topic));
-      return;
-    }
-    
-    try {
-      const jsonMatch = stdout.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const quiz = JSON.parse(jsonMatch[0]);
-        // Ensure options are strings
-        if (quiz.options && Array.isArray(quiz.options)) {
-          quiz.options = quiz.options.map(opt => String(opt));
-        }
-        resolve(quiz);
-      } else {
-        resolve(createFallbackQuiz(topic));
-      }
-    } catch (parseError) {
-      resolve(createFallbackQuiz(topic));
-    }
-  });
+// Explanation for an answer, generated once and shared by every learner who gave the same answer
+// The quiz's own explanation is used as is for correct answers
+function getQuizExplanation(quiz, answer) {
+  if (answer.isCorrect && quiz.explanation) {
+    return Promise.resolve(quiz.explanation);
+  }
+  const key = `${quiz.id}:${explanationKey(quiz, answer)}`;
+  if (!quizExplanationCache.has(key)) {
+    const promise = generateExplanation(quiz, answer).catch(error => {
+      // Do not cache the failure, the next answer tries the model again
+      quizExplanationCache.delete(key);
+      addMessage(`Explanation generation failed: ${error.message}`, 'system');
+      return null;
+    });
+    quizExplanationCache.set(key, promise);
+  }
+  return quizExplanationCache.get(key);
 }
 
-// Create fallback quiz
-function createFallbackQuiz(topic) {
+// Create fallback quiz of the type, for the educator to fix with /edit
+function createFallbackQuiz(topic, type = 'mcq') {
+  if (type === 'truefalse') {
+    return { question: `True or false: ${topic}`, type: type, options: ['True', 'False'], correct: 0 };
+  }
+  if (type === 'numeric') {
+    return { question: `Quiz: ${topic}`, type: type, answer: 0, tolerance: 0 };
+  }
+  if (type === 'text') {
+    return { question: `Quiz: ${topic}`, type: type, answer: topic, keywords: [topic], grading: 'keywords' };
+  }
   return {
     question: `Quiz: ${topic}`,
+    ...(type === 'multi' ? { type: type } : {}),
     options: [
       `Option A about ${topic}`,
       `Option B about ${topic}`,
       `Option C about ${topic}`,
       `Option D about ${topic}`
     ],
-    correct: 0
+    correct: type === 'multi' ? [0] : 0
   };
 }
 
@@ -309,7 +1412,7 @@ function processDoubts(doubts) {
       return;
     }
 
-    const doubtsList = doubts.map((d, i) => `${i + 1}. ${d.text}`).join('\n');
+    const doubtsList = doubts.map((d, i) => `${i + 1}. ${d.text}${d.votes.length > 0 ? ` (+${d.votes.length} student${d.votes.length !== 1 ? 's' : ''} share this doubt)` : ''}`).join('\n');
     const prompt = `You are analyzing student doubts from a classroom. Below are the EXACT doubts submitted by students:
 
 ${doubtsList}
@@ -318,14 +1421,14 @@ CRITICAL REQUIREMENTS:
 1. You MUST only use the doubts listed above - DO NOT create random or unrelated doubts
 2. Convert each doubt summary into a QUESTION format (e.g., "What is black hole?" instead of "doubt about black hole")
 3. Group similar doubts together and count how many students have the same concern
-4. Return ONLY the top 3 most critical doubts from the actual submissions above
+4. Return ONLY the top 5 most critical doubts from the actual submissions above
 
 Your task:
 1. Analyze and understand each doubt from the list above
 2. Identify the most critical/common concerns from the ACTUAL doubts submitted
 3. Convert each doubt into a clear QUESTION format
-4. Group similar doubts and count occurrences
-5. Return the top 3 most critical doubts as QUESTIONS
+4. Group similar doubts and count occurrences, listing the numbers of the doubts in each group
+5. Return the top 5 most critical doubts as QUESTIONS
 
 Format your response as JSON with this exact structure:
 {
@@ -333,17 +1436,20 @@ Format your response as JSON with this exact structure:
     {
       "summary": "What is [topic]?",
       "count": number of students with similar concern,
-      "details": "Original doubt text or similar doubt from the list"
+      "details": "Original doubt text or similar doubt from the list",
+      "doubts": [numbers of the doubts in this group, e.g. 1, 4]
     },
     {
       "summary": "How does [concept] work?",
       "count": number,
-      "details": "Original doubt text or similar doubt from the list"
+      "details": "Original doubt text or similar doubt from the list",
+      "doubts": [2]
     },
     {
       "summary": "Why does [phenomenon] happen?",
       "count": number,
-      "details": "Original doubt text or similar doubt from the list"
+      "details": "Original doubt text or similar doubt from the list",
+      "doubts": [3, 5]
     }
   ]
 }
@@ -352,95 +1458,103 @@ IMPORTANT:
 - Each "summary" MUST be a question starting with What/How/Why/When/Where
 - Each "details" MUST reference or be based on the actual doubts from the list above
 - DO NOT invent doubts that are not in the student submissions
-- Return ONLY the JSON, no other text. If there are fewer than 3 unique critical doubts, return fewer items.`;
-
-    const postData = JSON.stringify({
-      model: OLLAMA_MODELS.EDUCATOR_MODEL,
-      prompt: prompt,
-      stream: false
-    });
-
-    const options = {
-      hostname: 'localhost',
-      port: 11434,
-      path: '/api/generate',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
+- Return ONLY the JSON, no other text. If there are fewer than 5 unique critical doubts, return fewer items.`;
 
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          const responseText = response.response || '';
-          const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            const result = JSON.parse(jsonMatch[0]);
-            resolve(result.topDoubts || []);
-          } else {
-            // Fallback: create simple summaries
-            resolve(createFallbackDoubts(doubts));
-          }
-        } catch (error) {
-          tryCommandLineDoubts(prompt, doubts, resolve, reject);
+    llm.generate(prompt, {
+      model: llmConfig.educatorModel,
+      task: 'doubts',
+      context: { doubts }
+    })
+      .then(text => {
+        const processed = parseDoubtsResponse(text);
+        if (processed.length === 0) {
+          addMessage('AI response had no doubt summaries. Grouping doubts without AI.', 'system');
         }
+        resolve(rankDoubts(processed.length > 0 ? processed : createFallbackDoubts(doubts), doubts));
+      })
+      .catch(error => {
+        addMessage(`AI error: ${error.message}. Grouping doubts without AI.`, 'system');
+        resolve(rankDoubts(createFallbackDoubts(doubts), doubts));
       });
-    });
-
-    req.on('error', () => {
-      tryCommandLineDoubts(prompt, doubts, resolve, reject);
-    });
-
-    req.write(postData);
-    req.end();
   });
 }
 
-// Fallback to command line for doubt processing
-function tryCommandLineDoubts(prompt, doubts, resolve, reject) {
-  exec(`ollama run ${FALLBACK_MODEL} "${prompt.replace(/"/g, '\\"')}"`, { maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
-    if (error) {
-      resolve(createFallbackDoubts(doubts));
-      return;
-    }
-    
-    try {
-      const jsonMatch = stdout.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const result = JSON.parse(jsonMatch[0]);
-        const processed = (result.topDoubts || []).map(doubt => {
-          // Ensure summary is in question format
-          let summary = doubt.summary || '';
-          summary = summary.trim();
-          if (!summary.endsWith('?')) {
-            // Convert to question if not already
-            if (!summary.match(/^(what|how|why|when|where|who|which|can|could|should|is|are|do|does|did)/i)) {
-              summary = `What is ${summary}?`;
-            } else {
-              summary = summary + '?';
-            }
-          }
-          return {
-            summary: summary,
-            count: doubt.count || 1,
-            details: doubt.details || doubt.summary || ''
-          };
-        });
-        resolve(processed.length > 0 ? processed : createFallbackDoubts(doubts));
-      } else {
-        resolve(createFallbackDoubts(doubts));
+// Pull the top doubts out of a model response, as questions
+function parseDoubtsResponse(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return [];
+  try {
+    const result = JSON.parse(jsonMatch[0]);
+    return (result.topDoubts || []).map(doubt => {
+      // Ensure summary is in question format
+      let summary = doubt.summary || '';
+      summary = summary.trim();
+      if (!summary.endsWith('?')) {
+        // Convert to question if not already
+        if (!summary.match(/^(what|how|why|when|where|who|which|can|could|should|is|are|do|does|did)/i)) {
+          summary = `What is ${summary}?`;
+        } else {
+          summary = summary + '?';
+        }
       }
-    } catch (parseError) {
-      resolve(createFallbackDoubts(doubts));
+      return {
+        summary: summary,
+        count: doubt.count || 1,
+        details: doubt.details || doubt.summary || '',
+        doubts: Array.isArray(doubt.doubts) ? doubt.doubts.map(Number).filter(Number.isInteger) : []
+      };
+    });
+  } catch (error) {
+    return [];
+  }
+}
+
+// Top 3 doubt groups ranked by the students behind them: those who asked and those who upvoted
+// The model only groups the doubts, so the order does not rest on the model alone
+function rankDoubts(groups, doubts) {
+  return groups.map((group, i) => {
+    const members = [...new Set(group.doubts || [])].map(n => doubts[n - 1]).filter(Boolean);
+    if (members.length === 0) {
+      // The model did not say which doubts it grouped, so its own count is all there is
+      return { ...group, doubts: undefined, votes: 0, weight: group.count, order: i };
     }
+    const students = new Set();
+    members.forEach(d => {
+      students.add(d.learnerId);
+      d.votes.forEach(id => students.add(id));
+    });
+    return {
+      summary: group.summary,
+      count: members.length,
+      votes: members.reduce((sum, d) => sum + d.votes.length, 0),
+      details: group.details,
+      askedBy: [...new Set(members.map(d => d.learnerName).filter(Boolean))],
+      weight: students.size,
+      order: i
+    };
+  })
+    .sort((a, b) => b.weight - a.weight || a.order - b.order)
+    .slice(0, 3)
+    .map(({ weight, order, doubts: _, ...doubt }) => doubt);
+}
+
+// Draft a short explanation answering a top doubt with the configured LLM provider
+async function generateDoubtAnswer(doubt) {
+  const prompt = `Students in a class asked: "${doubt.summary}"
+One student's original words: "${doubt.details}"
+
+Write a short, clear explanation that answers this doubt for the whole class, in 2-4 simple sentences a school student can follow. Use an everyday example if it helps. Provide only the explanation, no other text.`;
+
+  const text = await llm.generate(prompt, {
+    model: llmConfig.educatorModel,
+    task: 'doubt_answer',
+    context: { doubt: doubt }
   });
+  let answer = String(text || '').replace(/<think>[\s\S]*?<\/think>/gi, '').replace(/\s+/g, ' ').trim();
+  if (answer.length > 600) {
+    answer = answer.substring(0, 597) + '...';
+  }
+  return answer;
 }
 
 // Create fallback doubts summary
@@ -494,33 +1608,207 @@ function createFallbackDoubts(doubts) {
     return `What is ${text}?`;
   }
   
-  // Simple grouping by first few words
+  // Simple grouping by first few words, ranked later by rankDoubts
   const grouped = {};
-  doubts.forEach(d => {
+  doubts.forEach((d, i) => {
     const key = d.text.substring(0, 30).toLowerCase();
     if (!grouped[key]) {
-      grouped[key] = { text: d.text, count: 0 };
+      grouped[key] = { text: d.text, doubts: [] };
     }
-    grouped[key].count++;
+    grouped[key].doubts.push(i + 1);
   });
 
-  const sorted = Object.values(grouped)
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 3);
-
-  return sorted.map((item, i) => ({
+  return Object.values(grouped).map(item => ({
     summary: toQuestion(item.text),
-    count: item.count,
-    details: item.text
+    count: item.doubts.length,
+    details: item.text,
+    doubts: item.doubts
   }));
 }
 
 // React App Component
+// Quiz Preview Component (draft waiting for approval)
+function QuizPreviewComponent({ pending }) {
+  return React.createElement(Box, {
+    flexDirection: 'column',
+    marginY: 1,
+    borderStyle: 'round',
+    borderColor: 'yellow',
+    paddingX: 1
+  },
+    React.createElement(Box, { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 1 },
+      React.createElement(Text, { color: 'yellow', bold: true },
+        pending.kind === 'set'
+          ? `QUIZ SET PREVIEW: ${pending.topic} (${pending.quizzes.length} questions) - not sent yet`
+          : `QUIZ PREVIEW: ${pending.topic} - not sent yet`
+      )
+    ),
+    pending.quizzes.map((quiz, i) => React.createElement(Box, { key: i, flexDirection: 'column', marginBottom: 1 },
+      React.createElement(Text, { color: 'white', bold: true },
+        `${pending.quizzes.length > 1 ? `${i + 1}. ` : ''}${getQuizType(quiz) !== 'mcq' ? `[${describeQuizType(getQuizType(quiz))}] ` : ''}${quiz.question}`
+      ),
+      isChoiceQuiz(quiz)
+        ? quiz.options.map((option, j) => {
+          const correct = Array.isArray(quiz.correct) ? quiz.correct.includes(j) : j === quiz.correct;
+          return React.createElement(Text, { key: j, color: correct ? 'green' : 'white' },
+            `  ${optionLetter(j)}. ${option}${correct ? '  ✓ correct' : ''}`
+          );
+        })
+        : React.createElement(Text, { color: 'green' },
+          `  Answer: ${quiz.answer}${getQuizType(quiz) === 'numeric'
+            ? `${quiz.tolerance ? ` ± ${quiz.tolerance}` : ''}${quiz.unit ? ` ${quiz.unit}` : ''}`
+            : ` | ${quiz.grading === 'llm' ? 'graded by AI' : `keywords: ${(quiz.keywords || []).join(', ')}`}`}`
+        ),
+      quiz.explanation ? React.createElement(Text, { color: 'gray' },
+        `  Why: ${quiz.explanation}`
+      ) : null,
+      quiz.problems.length > 0 ? React.createElement(Text, { color: 'red' },
+        `  Problems: ${quiz.problems.join('; ')}`
+      ) : null
+    )),
+    React.createElement(Text, { color: 'cyan' },
+      `/edit ${pending.quizzes.length > 1 ? '[n] ' : ''}question|option|correct|answer|tolerance|keywords|explanation <value> | /regen${pending.quizzes.length > 1 ? ' [n]' : ''} | /send | /discard`
+    )
+  );
+}
+
+// Private Messages Component: threads with single learners, apart from the class chat
+function PrivateMessagesComponent({ messages }) {
+  const questions = messages.filter(m => m.from === 'learner');
+  const unanswered = questions.filter(q => !q.promoted && !messages.some(m => m.replyTo === q.number)).length;
+
+  return React.createElement(Box, {
+    flexDirection: 'column',
+    marginY: 1,
+    borderStyle: 'round',
+    borderColor: 'magenta',
+    paddingX: 1
+  },
+    React.createElement(Text, { color: 'magenta', bold: true },
+      `PRIVATE MESSAGES: ${questions.length} question${questions.length !== 1 ? 's' : ''}, ${unanswered} waiting for a reply`
+    ),
+    messages.slice(-8).map((m, i) => React.createElement(Text, { key: i, color: m.from === 'learner' ? 'white' : 'cyan' },
+      m.from === 'learner'
+        ? `#${m.number} ${m.learnerLabel}: ${m.text}${m.promoted ? ' [shared with class]' : ''} (${getRelativeTime(m.timestamp)})`
+        : `You → ${m.learnerLabel}${m.replyTo ? ` (re #${m.replyTo})` : ''}: ${m.text} (${getRelativeTime(m.timestamp)})`
+    )),
+    React.createElement(Text, { color: 'cyan' },
+      '/reply <n> <text> to answer privately | /promote <n> to share with the class | /dm <learner> <text> | /private to hide'
+    )
+  );
+}
+
+// Roster Component: every learner of the session with their presence
+function RosterComponent({ entries }) {
+  const now = Date.now();
+  const colors = { active: 'green', idle: 'yellow', disconnected: 'gray' };
+  const order = { active: 0, idle: 1, disconnected: 2 };
+  const rows = entries
+    .map(entry => ({ entry: entry, presence: getPresence(entry, now) }))
+    .sort((a, b) => order[a.presence] - order[b.presence] || b.entry.lastSeen - a.entry.lastSeen);
+  const count = presence => rows.filter(r => r.presence === presence).length;
+
+  return React.createElement(Box, {
+    flexDirection: 'column',
+    marginY: 1,
+    borderStyle: 'round',
+    borderColor: 'blue',
+    paddingX: 1
+  },
+    React.createElement(Text, { color: 'blue', bold: true },
+      `CLASS ROSTER: ${count('active')} active | ${count('idle')} idle | ${count('disconnected')} disconnected`
+    ),
+    rows.slice(0, 10).map(({ entry, presence }) => React.createElement(Text, { key: entry.id, color: colors[presence] },
+      `● ${getLearnerLabel(entry)}${isMuted(entry) ? ' (muted)' : ''} - ${presence}${presence === 'idle' ? ` | last active ${getRelativeTime(entry.lastActive)}` : presence === 'disconnected' ? ` | last seen ${getRelativeTime(entry.lastSeen)}` : ''}`
+    )),
+    rows.length > 10 ? React.createElement(Text, { color: 'gray' },
+      `...and ${rows.length - 10} more`
+    ) : null,
+    React.createElement(Text, { color: 'cyan' },
+      'Type /roster to hide the roster'
+    )
+  );
+}
+
+// Doubt Answer Preview Component (draft waiting for approval)
+function DoubtAnswerPreviewComponent({ pending, isDrafting }) {
+  return React.createElement(Box, {
+    flexDirection: 'column',
+    marginY: 1,
+    borderStyle: 'round',
+    borderColor: 'yellow',
+    paddingX: 1
+  },
+    React.createElement(Text, { color: 'yellow', bold: true },
+      isDrafting ? 'DRAFTING DOUBT ANSWER...' : `DOUBT ANSWER PREVIEW: doubt ${pending.number} - not sent yet`
+    ),
+    pending ? React.createElement(Text, { color: 'white', bold: true },
+      pending.doubt.summary
+    ) : null,
+    pending ? React.createElement(Text, { color: pending.text ? 'green' : 'red' },
+      pending.text || 'No draft yet. Write one with /answer edit <text>'
+    ) : null,
+    React.createElement(Text, { color: 'cyan' },
+      '/answer edit <text> | /answer send | /answer discard | /answer <n> for another draft'
+    )
+  );
+}
+
+// Quiz Set Results Component
+function QuizSetResults({ setStats }) {
+  return React.createElement(Box, { flexDirection: 'column', marginTop: 1 },
+    React.createElement(Text, { color: 'yellow', bold: true },
+      `Quiz Set: ${setStats.topic} | ${setStats.finished ? 'Finished' : `Question ${setStats.current} of ${setStats.total}`} | Set Average: ${setStats.averageScore}%`
+    ),
+    setStats.perQuestion.map(q => React.createElement(Text, { key: q.number, color: 'white' },
+      `Q${q.number}: ${q.totalAnswered} answered, ${q.averageScore}% average - ${q.question.substring(0, 50)}`
+    )),
+    setStats.leaderboard.length > 0 ? React.createElement(Text, { color: 'yellow', bold: true },
+      'Scores:'
+    ) : null,
+    setStats.leaderboard.slice(0, 10).map((s, i) => React.createElement(Text, { key: s.learnerId, color: 'cyan' },
+      `${i + 1}. ${s.name}: ${Math.round(s.points * 100) / 100}/${setStats.total}${s.points !== s.correct ? ` (${s.correct} correct, hint penalties applied)` : ''}`
+    ))
+  );
+}
+
+// Horizontal bar chart, one row per entry with bars scaled to the largest count
+function BarChart({ entries, width = 30 }) {
+  const max = Math.max(1, ...entries.map(e => e.count));
+  const labelWidth = Math.max(1, ...entries.map(e => e.label.length));
+  return React.createElement(Box, { flexDirection: 'column' },
+    entries.map((e, i) => {
+      // Any answer at all gets at least one block
+      const length = e.count > 0 ? Math.max(1, Math.round(e.count / max * width)) : 0;
+      return React.createElement(Text, { key: i, color: e.color || 'cyan', bold: !!e.highlight },
+        `${e.label.padEnd(labelWidth)} `,
+        React.createElement(Text, { color: e.color || 'cyan' }, '█'.repeat(length)),
+        React.createElement(Text, { color: 'gray' }, '░'.repeat(width - length)),
+        ` ${e.count}${e.note ? ` ${e.note}` : ''}`
+      );
+    })
+  );
+}
+
+// Progress bar of answered learners out of the connected ones
+function AnswerProgress({ progress, width = 30 }) {
+  const { answered, connected } = progress;
+  const done = connected > 0 && answered >= connected;
+  const length = connected > 0 ? Math.round(Math.min(answered, connected) / connected * width) : 0;
+  return React.createElement(Text, { color: done ? 'green' : 'yellow', bold: true },
+    'Answered ',
+    React.createElement(Text, { color: done ? 'green' : 'yellow' }, '█'.repeat(length)),
+    React.createElement(Text, { color: 'gray' }, '░'.repeat(width - length)),
+    ` ${answered}/${connected} connected${done ? ' - all answered' : ''}`
+  );
+}
+
 // Statistics Component
-function StatisticsComponent({ stats, onClose }) {
-  const optionCounts = stats.optionCounts || { A: 0, B: 0, C: 0, D: 0 };
+function StatisticsComponent({ stats, setStats, onClose }) {
+  const distribution = stats.distribution;
 
   return React.createElement(Box, {
+    flexDirection: 'column',
     marginY: 1,
     borderStyle: 'round',
     borderColor: 'green',
@@ -534,7 +1822,11 @@ function StatisticsComponent({ stats, onClose }) {
       marginBottom: 2
     },
       React.createElement(Text, { color: 'green', bold: true },
-        'CLASS STATISTICS'
+        stats.closed
+          ? 'CLASS STATISTICS (FINAL)'
+          : stats.timeRemaining !== null && stats.timeRemaining !== undefined
+            ? `CLASS STATISTICS | Time left: ${stats.timeRemaining}s`
+            : 'CLASS STATISTICS'
       ),
       React.createElement(Text, { color: 'yellow' },
         'Type "close stats" to close'
@@ -545,6 +1837,9 @@ function StatisticsComponent({ stats, onClose }) {
         `Total Students Answered: ${stats.totalAnswered}`
       )
     ),
+    React.createElement(Box, { marginBottom: 2 },
+      React.createElement(AnswerProgress, { progress: stats.progress })
+    ),
     React.createElement(Box, { marginBottom: 2 },
       React.createElement(Text, { color: 'cyan', bold: true },
         `Class Average: ${stats.averageScore}%`
@@ -560,26 +1855,60 @@ function StatisticsComponent({ stats, onClose }) {
         `Hints Used: ${stats.hintsUsed}`
       )
     ),
+    stats.hintDepth && stats.hintDepth.length > 0 ? React.createElement(Box, { flexDirection: 'column', marginBottom: 2 },
+      React.createElement(Text, { color: 'cyan', bold: true },
+        `Hint Depth (of ${HINT_LEVELS}): ${Array.from({ length: HINT_LEVELS }, (_, i) => `L${i + 1}: ${stats.hintDepth.filter(h => h.depth >= i + 1).length}`).join(' | ')}`
+      ),
+      React.createElement(Text, { color: 'white' },
+        stats.hintDepth.slice(0, 10).map(h => `${h.name} ${h.depth}/${HINT_LEVELS}`).join(', ') +
+          (stats.hintDepth.length > 10 ? `, +${stats.hintDepth.length - 10} more` : '')
+      )
+    ) : null,
     React.createElement(Box, { marginTop: 2, marginBottom: 1 },
       React.createElement(Text, { color: 'yellow', bold: true },
-        'Option Distribution:'
+        `${distribution.title}:`
       )
     ),
     React.createElement(Box, { marginBottom: 1 },
-      React.createElement(Text, { color: 'cyan', bold: true },
-        `A: ${optionCounts.A} time${optionCounts.A !== 1 ? 's' : ''} | B: ${optionCounts.B} time${optionCounts.B !== 1 ? 's' : ''} | C: ${optionCounts.C} time${optionCounts.C !== 1 ? 's' : ''} | D: ${optionCounts.D} time${optionCounts.D !== 1 ? 's' : ''}`
+      distribution.entries.length > 0
+        ? React.createElement(BarChart, {
+          entries: distribution.entries.map(e => ({
+            label: distribution.freeForm ? `"${e.label.length > 20 ? `${e.label.substring(0, 17)}...` : e.label}"` : e.label,
+            count: e.count,
+            color: e.correct ? 'green' : 'cyan',
+            highlight: e.correct,
+            note: e.correct ? '✓' : null
+          }))
+        })
+        : React.createElement(Text, { color: 'gray' }, 'No answers yet')
+    ),
+    distribution.summary ? React.createElement(Box, { marginBottom: 1 },
+      React.createElement(Text, { color: 'white' },
+        distribution.summary
       )
-    )
+    ) : null,
+    stats.responseHistogram.length > 0 ? React.createElement(Box, { marginTop: 1, marginBottom: 1 },
+      React.createElement(Text, { color: 'yellow', bold: true },
+        'Response Times:'
+      )
+    ) : null,
+    stats.responseHistogram.length > 0 ? React.createElement(Box, { marginBottom: 1 },
+      React.createElement(BarChart, {
+        entries: stats.responseHistogram.map(b => ({ label: b.label, count: b.count, color: 'magenta' }))
+      })
+    ) : null,
+    setStats ? React.createElement(QuizSetResults, { setStats: setStats }) : null
   );
 }
 
 // Top Doubts Component
-function TopDoubtsComponent({ doubts, onClose, isProcessing, spinnerIndex, isCollecting, doubtCount }) {
+function TopDoubtsComponent({ doubts, onClose, isProcessing, spinnerIndex, isCollecting, doubtCount, board }) {
   const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
   
   // Show collection status
   if (isCollecting && !isProcessing) {
     return React.createElement(Box, {
+      flexDirection: 'column',
       marginY: 1,
       borderStyle: 'round',
       borderColor: 'magenta',
@@ -609,6 +1938,11 @@ function TopDoubtsComponent({ doubts, onClose, isProcessing, spinnerIndex, isCol
           `Doubts collected: ${doubtCount || 0}`
         )
       ),
+      board && board.length > 0 ? React.createElement(Box, { flexDirection: 'column', marginY: 0.5 },
+        board.slice(0, 5).map(d => React.createElement(Text, { key: d.id, color: 'white' },
+          `▲${d.votes.length} ${d.text.length > 60 ? `${d.text.substring(0, 57)}...` : d.text}`
+        ))
+      ) : null,
       React.createElement(Box, { marginY: 0.5 },
         React.createElement(Text, { color: 'yellow' },
           'Type /process to process doubts immediately'
@@ -654,6 +1988,7 @@ function TopDoubtsComponent({ doubts, onClose, isProcessing, spinnerIndex, isCol
   }
 
   return React.createElement(Box, {
+    flexDirection: 'column',
     marginY: 1,
     borderStyle: 'round',
     borderColor: 'magenta',
@@ -684,16 +2019,24 @@ function TopDoubtsComponent({ doubts, onClose, isProcessing, spinnerIndex, isCol
       },
         React.createElement(Box, { marginBottom: 0.5 },
           React.createElement(Text, { color: 'yellow', bold: true },
-            `${i + 1}. ${doubt.summary} (${doubt.count} student${doubt.count !== 1 ? 's' : ''})`
+            `${i + 1}. ${doubt.summary} (${doubt.count} student${doubt.count !== 1 ? 's' : ''}${doubt.votes ? `, +${doubt.votes} upvote${doubt.votes !== 1 ? 's' : ''}` : ''})${doubt.resolved ? ' ✓ RESOLVED' : ''}`
           )
         ),
-        React.createElement(Box,
+        React.createElement(Box, null,
           React.createElement(Text, { color: 'white' },
             doubt.details
           )
-        )
+        ),
+        doubt.askedBy && doubt.askedBy.length > 0 ? React.createElement(Box, null,
+          React.createElement(Text, { color: 'gray' },
+            `Asked by: ${doubt.askedBy.join(', ')}`
+          )
+        ) : null
       );
-    })
+    }),
+    React.createElement(Text, { color: 'cyan' },
+      'Type /answer <n> to draft an explanation for a doubt and send it to learners'
+    )
   );
 }
 
@@ -706,12 +2049,18 @@ function App() {
     updateLoadingCallback = () => forceUpdate();
     updateStatisticsCallback = () => forceUpdate();
     updateDoubtsCallback = () => forceUpdate();
+    updatePreviewCallback = () => forceUpdate();
+    updateRosterCallback = () => forceUpdate();
+    updatePrivateCallback = () => forceUpdate();
     return () => {
       addMessageCallback = null;
       updateStatusCallback = null;
       updateLoadingCallback = null;
       updateStatisticsCallback = null;
       updateDoubtsCallback = null;
+      updatePreviewCallback = null;
+      updateRosterCallback = null;
+      updatePrivateCallback = null;
     };
   }, []);
 
@@ -754,7 +2103,7 @@ function App() {
   return React.createElement(Box, { flexDirection: 'column' },
     React.createElement(Box, { backgroundColor: 'blue', paddingX: 1, paddingY: 0 },
       React.createElement(Text, { color: 'white', bold: true },
-        `Sahayak - Educator Mode | Server: ${localIP}:${PORT} | Status: ${status}`
+        `Sahayak - Educator Mode | Server: ${localIP}:${PORT} | Join code: ${joinCode}${isRoomLocked ? ' (LOCKED)' : ''} | Status: ${status}`
       )
     ),
     React.createElement(Box, { flexDirection: 'column', height: 20, borderStyle: 'single', paddingX: 1 },
@@ -790,19 +2139,27 @@ function App() {
             alignSelf: isRight ? 'flex-end' : 'flex-start'
           },
             React.createElement(Text, { color: 'white' },
-              isRight ? msg.text : `Learner: ${msg.text}`
+              isRight ? msg.text : `${msg.sender || 'Learner'}: ${msg.text}`
             )
           )
         );
       }),
       isGeneratingQuiz ? React.createElement(Box, { marginTop: 1 },
         React.createElement(Text, { color: 'cyan' },
-          `${spinnerFrames[spinnerIndex]} Generating quiz...`
+          `${spinnerFrames[spinnerIndex]} ${generatingLabel}`
         )
       ) : null
     ),
+    (showPrivateMessages && privateMessages.length > 0) ? React.createElement(PrivateMessagesComponent, {
+      messages: privateMessages
+    }) : null,
+    (showRoster && roster.size > 0) ? React.createElement(RosterComponent, {
+      entries: Array.from(roster.values())
+    }) : null,
+    pendingQuiz ? React.createElement(QuizPreviewComponent, { pending: pendingQuiz }) : null,
     showStatistics ? React.createElement(StatisticsComponent, {
       stats: stats,
+      setStats: showStatistics ? calculateSetStatistics() : null,
       onClose: closeStatistics
     }) : null,
     (showTopDoubts || (isDoubtActive && !isProcessingDoubts)) ? React.createElement(TopDoubtsComponent, {
@@ -811,16 +2168,341 @@ function App() {
       isProcessing: isProcessingDoubts,
       spinnerIndex: doubtSpinnerIndex,
       isCollecting: isDoubtActive && !isProcessingDoubts,
-      doubtCount: doubtCollection.length
+      doubtCount: doubtCollection.length,
+      board: sortDoubtsByVotes(doubtCollection)
+    }) : null,
+    (pendingDoubtAnswer || isDraftingDoubtAnswer) ? React.createElement(DoubtAnswerPreviewComponent, {
+      pending: pendingDoubtAnswer,
+      isDrafting: isDraftingDoubtAnswer
     }) : null,
     React.createElement(Box, { marginTop: 1 },
       React.createElement(Text, { color: 'yellow' },
-        'Send message | Press Enter to Send | Type /quiz [topic] for quiz | Type /doubt to collect doubts | Type /process to process doubts | Type "close stats" to close statistics | Type "close doubts" to close doubts'
+        'Send message | Press Enter to Send | Type /quiz [topic] [--time seconds] [--reveal] for quiz | Type /quizset [topic] [n] for a quiz set | Review drafts with /edit, /regen, /send or /discard | Type /bank for the question bank | Type /hintpenalty to set hint penalties | Type /next for the next question | Type /reveal to reveal held answers | Type /code [rotate] for the join code | Type /lock or /unlock to close the class to new learners | Type /kick, /mute, /unmute, /block [--address] or /unblock <name> to moderate learners | Type /dm <name> <text> to message one learner | Type /reply <n> <text> or /promote <n> for private questions | Type /private to show or hide private messages | Type /roster to show or hide the class roster | Type /sessions to list saved sessions | Type /export csv|json [dir] to export results | Type /doubt to collect doubts | Type /process to process doubts | Type /answer <n> to answer a top doubt | Type "close stats" to close statistics | Type "close doubts" to close doubts'
       )
     )
   );
 }
 
+// Handle /answer <n>|edit <text>|send|discard for the top doubts
+async function handleAnswerCommand(args) {
+  const usage = 'Usage: /answer <n> | /answer edit <text> | /answer send | /answer discard';
+  const [sub, ...restWords] = args.split(/\s+/);
+  const rest = restWords.join(' ').trim();
+  const subcommand = (sub || '').toLowerCase();
+
+  if (/^\d+$/.test(subcommand)) {
+    const number = parseInt(subcommand, 10);
+    if (!topDoubts || topDoubts.length === 0) {
+      addMessage('No top doubts to answer. Use /doubt and /process first.', 'system');
+      return;
+    }
+    const doubt = topDoubts[number - 1];
+    if (!doubt) {
+      addMessage(`No doubt ${number} (there are ${topDoubts.length})`, 'system');
+      return;
+    }
+    if (isDraftingDoubtAnswer) {
+      addMessage('Already drafting an answer, please wait', 'system');
+      return;
+    }
+    isDraftingDoubtAnswer = true;
+    pendingDoubtAnswer = null;
+    updateDoubtsDisplay();
+    let text = '';
+    try {
+      text = await generateDoubtAnswer(doubt);
+    } catch (error) {
+      addMessage(`AI error: ${error.message}. Write the answer with /answer edit <text>.`, 'system');
+    }
+    isDraftingDoubtAnswer = false;
+    pendingDoubtAnswer = { number: number, doubt: doubt, text: text };
+    updateDoubtsDisplay();
+    return;
+  }
+
+  if (!pendingDoubtAnswer) {
+    addMessage(`No doubt answer draft. ${usage}`, 'system');
+    return;
+  }
+
+  if (subcommand === 'edit') {
+    if (!rest) {
+      addMessage(usage, 'system');
+      return;
+    }
+    pendingDoubtAnswer.text = rest;
+    updateDoubtsDisplay();
+    addMessage(`Answer for doubt ${pendingDoubtAnswer.number} updated`, 'system');
+    return;
+  }
+
+  if (subcommand === 'send') {
+    const { number, doubt, text } = pendingDoubtAnswer;
+    if (!text) {
+      addMessage('The draft is empty. Write the answer with /answer edit <text>.', 'system');
+      return;
+    }
+    if (getConnectedLearners().length === 0) {
+      addMessage('No learner connected', 'system');
+      return;
+    }
+    const resolution = { number: number, question: doubt.summary, answer: text, resolvedAt: Date.now() };
+    doubt.resolved = true;
+    doubt.answer = text;
+    recordEvent('doubt_resolved', resolution);
+    const recipients = broadcast({ type: 'doubt_resolved', data: resolution });
+    pendingDoubtAnswer = null;
+    updateDoubtsDisplay();
+    addMessage(`Doubt ${number} resolved and sent to ${recipients} learner${recipients !== 1 ? 's' : ''}`, 'system');
+    return;
+  }
+
+  if (subcommand === 'discard') {
+    pendingDoubtAnswer = null;
+    updateDoubtsDisplay();
+    addMessage('Doubt answer draft discarded', 'system');
+    return;
+  }
+
+  addMessage(usage, 'system');
+}
+
+// Handle /dm <learner> <text>, /reply <n> <text> and /promote <n>
+function handlePrivateCommand(command, args) {
+  if (command === 'dm') {
+    const { learner, text, error } = splitLearnerAndText(args);
+    if (error) {
+      addMessage(error, 'system');
+      return;
+    }
+    sendPrivateMessage(learner, text);
+    return;
+  }
+
+  const [numberText, ...rest] = args.split(/\s+/);
+  const question = findPrivateQuestion(parseInt((numberText || '').replace(/^#/, ''), 10));
+  if (!question) {
+    addMessage(command === 'reply' ? 'Usage: /reply <n> <text>, using a private question number' : 'Usage: /promote <n>, using a private question number', 'system');
+    return;
+  }
+  const learner = learners.get(question.learnerId);
+
+  if (command === 'reply') {
+    const text = rest.join(' ').trim();
+    if (!text) {
+      addMessage('Usage: /reply <n> <text>', 'system');
+      return;
+    }
+    if (!learner || !learner.admitted) {
+      addMessage(`${question.learnerLabel} is not connected`, 'system');
+      return;
+    }
+    sendPrivateMessage(learner, text, question.number);
+    return;
+  }
+
+  if (command === 'promote') {
+    if (question.promoted) {
+      addMessage(`Question #${question.number} was already shared with the class`, 'system');
+      return;
+    }
+    // The class sees the question without the learner's name
+    const text = `A learner asked: ${question.text}`;
+    broadcast({ type: 'message', data: text });
+    addMessage(text, 'you');
+    question.promoted = true;
+    recordEvent('private_promoted', { number: question.number });
+    if (learner && learner.admitted) {
+      sendToLearner(learner, {
+        type: 'private_message',
+        data: { from: 'educator', text: 'Your question was shared with the class without your name', timestamp: Date.now(), replyTo: question.number }
+      });
+    }
+    updatePrivateDisplay();
+  }
+}
+
+// Handle /kick, /mute, /unmute, /block and /unblock <learner>
+function handleModerationCommand(action, query) {
+  if (action === 'unblock') {
+    const wanted = query.trim().toLowerCase();
+    const index = blockedLearners.findIndex(b =>
+      b.address === wanted || (b.roll && b.roll.toLowerCase() === wanted) || (b.name && b.name.toLowerCase() === wanted)
+    );
+    if (index === -1) {
+      addMessage(blockedLearners.length > 0
+        ? `No blocked learner matches "${query}". Blocked: ${blockedLearners.map(b => getLearnerLabel(b)).join(', ')}`
+        : 'No learners are blocked', 'system');
+      return;
+    }
+    const [unblocked] = blockedLearners.splice(index, 1);
+    recordEvent('moderation', { action: 'unblock', learnerId: unblocked.id, name: unblocked.name, roll: unblocked.roll, address: unblocked.address });
+    addMessage(`${getLearnerLabel(unblocked)} can join the class again`, 'system');
+    return;
+  }
+
+  // /block <learner> --address also keeps out every device on the learner's address
+  const { text, options } = parseCommandOptions(query);
+  const { learner, error } = findLearner(text);
+  if (error) {
+    addMessage(error, 'system');
+    return;
+  }
+  const label = getLearnerLabel(learner);
+  // Without a name or roll number only the address can recognise the learner again
+  const byAddress = action === 'block' && (options.address === true || getIdentityKey(learner).startsWith('id:'));
+  const event = { action: action, learnerId: learner.id, name: learner.name, roll: learner.roll, address: learner.address };
+  if (byAddress) {
+    event.byAddress = true;
+  }
+
+  if (action === 'kick') {
+    // A kicked learner joins again with the code, not by resuming
+    resumeTokens.delete(learner.resumeToken);
+    sendToLearner(learner, { type: 'moderation', data: { action: 'kick', message: 'The educator removed you from the class' } });
+    recordEvent('moderation', event);
+    learner.ws.close();
+    addMessage(`${label} was removed from the class. They can join again; use /block to keep them out`, 'system');
+  } else if (action === 'mute' || action === 'unmute') {
+    const muted = action === 'mute';
+    if (isMuted(learner) === muted) {
+      addMessage(`${label} is already ${muted ? 'muted' : 'unmuted'}`, 'system');
+      return;
+    }
+    if (muted) {
+      mutedLearners.add(getIdentityKey(learner));
+    } else {
+      mutedLearners.delete(getIdentityKey(learner));
+    }
+    sendToLearner(learner, {
+      type: 'moderation',
+      data: {
+        action: action,
+        message: muted ? 'The educator muted you: you can still answer quizzes and send doubts, but not chat' : 'The educator unmuted you: you can chat again'
+      }
+    });
+    recordEvent('moderation', event);
+    updateRosterDisplay();
+    addMessage(`${label} ${muted ? 'muted' : 'unmuted'}`, 'system');
+  } else if (action === 'block') {
+    blockedLearners.push({ id: learner.id, name: learner.name, roll: learner.roll, address: learner.address, byAddress: byAddress, blockedAt: Date.now() });
+    // Blocked learners cannot come back through their resume token either
+    resumeTokens.delete(learner.resumeToken);
+    mutedLearners.delete(getIdentityKey(learner));
+    sendToLearner(learner, { type: 'moderation', data: { action: 'block', message: 'The educator blocked you from this class' } });
+    recordEvent('moderation', event);
+    learner.ws.close();
+    const blockedBy = [learner.roll ? `roll ${learner.roll}` : learner.name ? `name ${learner.name}` : '', byAddress ? `address ${learner.address}` : ''].filter(Boolean);
+    addMessage(`${label} was blocked (${blockedBy.join(', ')}). Use /unblock to let them back`, 'system');
+  }
+}
+
+// Handle /bank add|search|send|import|export
+function handleBankCommand(args) {
+  const usage = 'Usage: /bank add [n] [--tags a,b] [--difficulty easy|medium|hard] | /bank search <tag> | /bank send <id> [--time seconds] [--reveal] | /bank import <file> | /bank export [file]';
+  const [sub, ...restWords] = args.split(/\s+/);
+  const rest = restWords.join(' ');
+  const subcommand = (sub || '').toLowerCase();
+
+  try {
+    if (subcommand === 'add') {
+      const { text, options } = parseCommandOptions(rest, ['tags', 'difficulty']);
+      const difficulty = options.difficulty !== undefined ? String(options.difficulty).toLowerCase() : null;
+      if ((text && !/^\d+$/.test(text)) || (difficulty !== null && !DIFFICULTIES.includes(difficulty))) {
+        addMessage(usage, 'system');
+        return;
+      }
+      // The draft being reviewed, otherwise the quiz that was sent last
+      let quiz = currentQuiz;
+      if (pendingQuiz) {
+        quiz = pendingQuiz.quizzes[(text ? parseInt(text, 10) : 1) - 1];
+        if (!quiz) {
+          addMessage(`No question ${text} in the draft (it has ${pendingQuiz.quizzes.length})`, 'system');
+          return;
+        }
+        if (quiz.problems.length > 0) {
+          addMessage(`Fix the problems in this question before adding it: ${quiz.problems.join('; ')}`, 'system');
+          return;
+        }
+      }
+      if (!quiz) {
+        addMessage('No quiz to add. Generate one with /quiz [topic] first.', 'system');
+        return;
+      }
+      const tags = typeof options.tags === 'string' ? options.tags.split(',').map(t => t.trim()).filter(Boolean) : [];
+      const { entry, added } = addToBank(quiz, { topic: quiz.topic, tags: tags, difficulty: difficulty });
+      if (pendingQuiz) {
+        quiz.bankId = entry.id;
+      }
+      addMessage(`${added ? 'Added to' : 'Updated in'} question bank as ${entry.id} [${entry.difficulty}] (tags: ${entry.tags.join(', ') || 'none'})`, 'system');
+      return;
+    }
+
+    if (subcommand === 'search') {
+      if (!rest) {
+        addMessage(usage, 'system');
+        return;
+      }
+      const found = searchBank(rest);
+      if (found.length === 0) {
+        addMessage(`No questions in the bank match "${rest}"`, 'system');
+        return;
+      }
+      addMessage(`${found.length} question${found.length !== 1 ? 's' : ''} match "${rest}":`, 'system');
+      found.slice(0, 10).forEach(q => {
+        addMessage(`${q.id} [${q.difficulty}${getQuizType(q) !== 'mcq' ? `, ${describeQuizType(getQuizType(q)).toLowerCase()}` : ''}] ${q.question} (tags: ${q.tags.join(', ') || 'none'}; used ${q.usage.length} time${q.usage.length !== 1 ? 's' : ''})`, 'system');
+      });
+      if (found.length > 10) {
+        addMessage(`...and ${found.length - 10} more. Narrow the search to see them.`, 'system');
+      }
+      return;
+    }
+
+    if (subcommand === 'send') {
+      const { text: id, options } = parseCommandOptions(rest, ['time']);
+      const timeLimit = options.time !== undefined ? parseInt(options.time, 10) : 0;
+      if (!id || Number.isNaN(timeLimit) || timeLimit < 0) {
+        addMessage(usage, 'system');
+        return;
+      }
+      const entry = getBankQuestion(id);
+      if (!entry) {
+        addMessage(`No question ${id} in the bank. Use /bank search <tag> to find one.`, 'system');
+        return;
+      }
+      if (getConnectedLearners().length === 0) {
+        addMessage('No learner connected', 'system');
+        return;
+      }
+      cancelQuizSet();
+      startQuiz(quizFromBank(entry), { reveal: options.reveal === true, time: timeLimit });
+      return;
+    }
+
+    if (subcommand === 'import') {
+      if (!rest) {
+        addMessage(usage, 'system');
+        return;
+      }
+      const { added, updated, skipped } = importBank(resolveUserPath(rest));
+      addMessage(`Imported question bank: ${added} added, ${updated} already present, ${skipped.length} skipped`, 'system');
+      skipped.slice(0, 5).forEach(reason => addMessage(`Skipped ${reason}`, 'system'));
+      return;
+    }
+
+    if (subcommand === 'export') {
+      const file = rest ? resolveUserPath(rest) : path.resolve(__dirname, EXPORT_DIR, 'sahayak-question-bank.json');
+      const count = exportBank(file);
+      addMessage(`Exported ${count} question${count !== 1 ? 's' : ''} to ${file}`, 'system');
+      return;
+    }
+
+    addMessage(`Question bank has ${getBankSize()} question${getBankSize() !== 1 ? 's' : ''}. ${usage}`, 'system');
+  } catch (error) {
+    addMessage(`Question bank error: ${error.message}`, 'system');
+  }
+}
+
 // Setup readline for input
 const rl = readline.createInterface({
   input: process.stdin,
@@ -875,7 +2557,7 @@ rl.on('line', async (line) => {
     
     // Check if it's a /doubt command
     if (message.startsWith('/doubt')) {
-      if (!client || client.readyState !== WebSocket.OPEN) {
+      if (getConnectedLearners().length === 0) {
         addMessage('No learner connected', 'system');
         rl.prompt();
         return;
@@ -883,14 +2565,15 @@ rl.on('line', async (line) => {
       
       // Initialize doubt collection
       isDoubtActive = true;
+      recordEvent('doubt_start', {});
       doubtCollection = [];
       topDoubts = null;
       isProcessingDoubts = false;
       showTopDoubts = true; // Show component immediately to show collection status
       updateDoubtsDisplay();
       
-      // Send doubt request to learner
-      client.send(JSON.stringify({ type: 'doubt', data: { active: true } }));
+      // Send doubt request to all learners
+      broadcast({ type: 'doubt', data: { active: true } });
       addMessage('Doubt collection started. Waiting for learner submissions... Type /process to process immediately.', 'system');
       
       // Set timeout to process doubts after 2 minutes
@@ -903,6 +2586,7 @@ rl.on('line', async (line) => {
         } else {
           addMessage('No doubts received from learners', 'system');
           isDoubtActive = false;
+          broadcast({ type: 'doubt', data: { active: false } });
         }
       }, 120000); // 2 minutes timeout
       
@@ -910,17 +2594,294 @@ rl.on('line', async (line) => {
       return;
     }
     
-    // Check if it's a /quiz command
-    if (message.startsWith('/quiz')) {
-      const topic = message.substring(5).trim();
-      if (!topic) {
-        addMessage('Usage: /quiz [topic] - e.g., /quiz Photosynthesis', 'system');
+    // Check if it's a /dm, /reply or /promote command
+    const privateCommand = message.match(/^\/(dm|reply|promote)(?:\s+(.*))?$/i);
+    if (privateCommand) {
+      handlePrivateCommand(privateCommand[1].toLowerCase(), (privateCommand[2] || '').trim());
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /private command
+    if (message.toLowerCase() === '/private') {
+      showPrivateMessages = !showPrivateMessages;
+      updatePrivateDisplay();
+      if (showPrivateMessages && privateMessages.length === 0) {
+        addMessage('No private messages yet', 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /kick, /mute, /unmute, /block or /unblock command
+    const moderation = message.match(/^\/(kick|mute|unmute|block|unblock)(?:\s+(.*))?$/i);
+    if (moderation) {
+      if (!moderation[2]) {
+        const action = moderation[1].toLowerCase();
+        addMessage(`Usage: /${action} <name or roll number>${action === 'block' ? ' [--address]' : ''}`, 'system');
+      } else {
+        handleModerationCommand(moderation[1].toLowerCase(), moderation[2]);
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /code command: show the join code, or replace it with /code rotate
+    if (message.toLowerCase() === '/code' || message.toLowerCase().startsWith('/code ')) {
+      const sub = message.substring(5).trim().toLowerCase();
+      if (sub === 'rotate') {
+        joinCode = createJoinCode();
+        recordJoinCode();
+        updateStatus(status);
+        addMessage(`New join code: ${joinCode} - learners already in class stay connected`, 'system');
+      } else if (sub) {
+        addMessage('Usage: /code | /code rotate', 'system');
+      } else {
+        addMessage(`Join code: ${joinCode}${isRoomLocked ? ' (the class is locked, /unlock to let learners in)' : ''}`, 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /lock or /unlock command
+    if (message.toLowerCase() === '/lock' || message.toLowerCase() === '/unlock') {
+      isRoomLocked = message.toLowerCase() === '/lock';
+      recordJoinCode();
+      updateStatus(status);
+      addMessage(isRoomLocked
+        ? 'Class locked: new learners cannot join, learners in class can still reconnect'
+        : `Class unlocked: learners can join with code ${joinCode}`, 'system');
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /roster command
+    if (message.toLowerCase() === '/roster') {
+      showRoster = !showRoster;
+      updateRosterDisplay();
+      if (showRoster && roster.size === 0) {
+        addMessage('No learners have joined yet', 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /sessions command
+    if (message.toLowerCase() === '/sessions') {
+      const sessions = listSessions().slice(0, 10);
+      if (sessions.length === 0) {
+        addMessage('No saved sessions yet', 'system');
+      } else {
+        addMessage(`Saved sessions (newest first, showing ${sessions.length}):`, 'system');
+        sessions.forEach(s => {
+          const isCurrent = currentSession && s.id === currentSession.id;
+          const end = isCurrent ? 'in progress' : s.endTime ? new Date(s.endTime).toLocaleTimeString() : 'not closed';
+          addMessage(`${s.id}${isCurrent ? ' (current)' : ''} | ${new Date(s.startTime).toLocaleString()} - ${end} | ${s.quizCount} quiz${s.quizCount !== 1 ? 'zes' : ''}, ${s.answerCount} answer${s.answerCount !== 1 ? 's' : ''}, ${s.doubtCount} doubt${s.doubtCount !== 1 ? 's' : ''}`, 'system');
+        });
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's an /export command
+    if (message === '/export' || message.startsWith('/export ')) {
+      const [format, ...dirParts] = message.substring(7).trim().split(/\s+/);
+      const formatName = (format || '').toLowerCase();
+      if (formatName !== 'csv' && formatName !== 'json') {
+        addMessage('Usage: /export csv|json [directory] - e.g., /export csv ~/gradebook', 'system');
+        rl.prompt();
+        return;
+      }
+      if (!currentSession) {
+        addMessage('Nothing to export: session storage is unavailable', 'system');
+        rl.prompt();
+        return;
+      }
+      const dir = dirParts.length > 0 ? resolveUserPath(dirParts.join(' ')) : path.resolve(__dirname, EXPORT_DIR);
+      try {
+        const files = exportResults(formatName, dir, currentSession.id, loadSession(currentSession.id));
+        addMessage(`Exported ${formatName.toUpperCase()}: ${files.join(', ')}`, 'system');
+      } catch (error) {
+        addMessage(`Export failed: ${error.message}`, 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /reveal command
+    if (message.toLowerCase() === '/reveal') {
+      if (!currentQuiz || !quizStatistics) {
+        addMessage('No active quiz to reveal', 'system');
+      } else if (!currentQuiz.holdFeedback) {
+        addMessage('This quiz already gives feedback immediately', 'system');
+      } else if (currentQuiz.revealed) {
+        addMessage('Answers already revealed', 'system');
+      } else {
+        const delivered = revealQuizFeedback();
+        const connected = getConnectedLearners().length;
+        addMessage(`Answers revealed: ${delivered} learner${delivered !== 1 ? 's' : ''} got their result, class results sent to ${connected} learner${connected !== 1 ? 's' : ''}`, 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /next command
+    if (message.toLowerCase() === '/next') {
+      if (!currentQuizSet || currentQuizSet.finished) {
+        addMessage('No quiz set running. Use /quizset [topic] [n] to start one.', 'system');
+      } else {
+        advanceQuizSet();
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /hintpenalty command
+    if (message === '/hintpenalty' || message.startsWith('/hintpenalty ')) {
+      const values = message.substring(12).trim().split(/\s+/).filter(Boolean).map(v => Number(v.replace(/%$/, '')));
+      if (values.length === 0) {
+        addMessage(`Hint penalties: ${hintPenalties.map((p, i) => `level ${i + 1} -${p}%`).join(', ')}`, 'system');
+      } else if (values.length !== HINT_LEVELS || values.some(v => !Number.isFinite(v) || v < 0 || v > 100)) {
+        addMessage(`Usage: /hintpenalty ${Array.from({ length: HINT_LEVELS }, (_, i) => `<level ${i + 1} %>`).join(' ')} - e.g., /hintpenalty ${HINT_PENALTIES.join(' ')}`, 'system');
+      } else {
+        hintPenalties = values;
+        addMessage(`Hint penalties set to ${hintPenalties.map((p, i) => `level ${i + 1} -${p}%`).join(', ')}. They apply to quizzes sent from now on.`, 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's an /answer command
+    if (message === '/answer' || message.startsWith('/answer ')) {
+      await handleAnswerCommand(message.substring(7).trim());
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /bank command
+    if (message === '/bank' || message.startsWith('/bank ')) {
+      handleBankCommand(message.substring(5).trim());
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /send command
+    if (message.toLowerCase() === '/send') {
+      if (!pendingQuiz) {
+        addMessage('No quiz draft to send. Use /quiz [topic] first.', 'system');
+      } else {
+        sendPendingQuiz();
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /discard command
+    if (message.toLowerCase() === '/discard') {
+      if (!pendingQuiz) {
+        addMessage('No quiz draft to discard', 'system');
+      } else {
+        pendingQuiz = null;
+        updatePreviewDisplay();
+        addMessage('Quiz draft discarded', 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's an /edit command
+    if (message === '/edit' || message.startsWith('/edit ')) {
+      if (!pendingQuiz) {
+        addMessage('No quiz draft to edit. Use /quiz [topic] first.', 'system');
+      } else {
+        editPendingQuiz(message.substring(5).trim());
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /regen command
+    if (message === '/regen' || message.startsWith('/regen ')) {
+      if (!pendingQuiz) {
+        addMessage('No quiz draft to regenerate. Use /quiz [topic] first.', 'system');
+        rl.prompt();
+        return;
+      }
+      const arg = message.substring(6).trim();
+      const number = arg ? parseInt(arg, 10) : 1;
+      const draft = pendingQuiz;
+      if (!draft.quizzes[number - 1]) {
+        addMessage(`No question ${arg} in the draft (it has ${draft.quizzes.length})`, 'system');
+        rl.prompt();
+        return;
+      }
+      setGeneratingQuiz(true, `Regenerating question ${number}...`);
+      try {
+        const others = draft.quizzes.map(q => q.question);
+        const quiz = await generateQuiz(draft.topic, others, false, getQuizType(draft.quizzes[number - 1]));
+        quiz.topic = draft.topic;
+        setGeneratingQuiz(false);
+        // The draft may have been sent or replaced while generating
+        if (pendingQuiz === draft) {
+          checkPendingQuiz(quiz);
+          draft.quizzes[number - 1] = quiz;
+          updatePreviewDisplay();
+          addMessage(`Question ${number} regenerated`, 'system');
+        }
+      } catch (error) {
+        setGeneratingQuiz(false);
+        addMessage(`Error regenerating quiz: ${error.message}`, 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /quizset command
+    if (message === '/quizset' || message.startsWith('/quizset ')) {
+      const { text, options: setOptions } = parseCommandOptions(message.substring(8), ['every', 'time', 'type']);
+      const countMatch = text.match(/^(.*\S)\s+(\d+)$/);
+      const count = countMatch ? parseInt(countMatch[2], 10) : 0;
+      const interval = setOptions.every !== undefined ? parseInt(setOptions.every, 10) : 0;
+      const timeLimit = setOptions.time !== undefined ? parseInt(setOptions.time, 10) : 0;
+      const type = normalizeQuizType(setOptions.type);
+      if (!countMatch || count < 1 || count > 20 || Number.isNaN(interval) || interval < 0 || Number.isNaN(timeLimit) || timeLimit < 0 || !type) {
+        addMessage(`Usage: /quizset [topic] [n] [--every seconds] [--time seconds] [--type ${QUIZ_TYPES.join('|')}] [--reveal] [--new] - e.g., /quizset Photosynthesis 5 --every 60`, 'system');
         rl.prompt();
         return;
       }
+      const topic = countMatch[1];
       
-      if (!client || client.readyState !== WebSocket.OPEN) {
-        addMessage('No learner connected', 'system');
+      addMessage(`Generating ${count} questions: ${topic}...`, 'system');
+      
+      try {
+        const quizzes = [];
+        for (let i = 0; i < count; i++) {
+          setGeneratingQuiz(true, `Generating question ${i + 1} of ${count}...`);
+          quizzes.push(await generateQuiz(topic, quizzes.map(q => q.question), USE_QUESTION_BANK && setOptions.new !== true, type));
+        }
+        setGeneratingQuiz(false);
+        setPendingQuiz({
+          kind: 'set',
+          topic: topic,
+          quizzes: quizzes,
+          interval: interval,
+          settings: { reveal: setOptions.reveal === true, time: timeLimit }
+        });
+      } catch (error) {
+        setGeneratingQuiz(false);
+        addMessage(`Error generating quiz set: ${error.message}`, 'system');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    // Check if it's a /quiz command
+    if (message === '/quiz' || message.startsWith('/quiz ')) {
+      const { text: topic, options: quizOptions } = parseCommandOptions(message.substring(5), ['time', 'type']);
+      const timeLimit = quizOptions.time !== undefined ? parseInt(quizOptions.time, 10) : 0;
+      const type = normalizeQuizType(quizOptions.type);
+      if (!topic || Number.isNaN(timeLimit) || timeLimit < 0 || !type) {
+        addMessage(`Usage: /quiz [topic] [--time seconds] [--type ${QUIZ_TYPES.join('|')}] [--reveal] [--new] - e.g., /quiz Photosynthesis --time 60 --type tf`, 'system');
         rl.prompt();
         return;
       }
@@ -929,29 +2890,22 @@ rl.on('line', async (line) => {
       addMessage(`Generating quiz: ${topic}...`, 'system');
       
       try {
-        const quiz = await generateQuiz(topic);
+        const quiz = await generateQuiz(topic, [], USE_QUESTION_BANK && quizOptions.new !== true, type);
         setGeneratingQuiz(false);
-        // Initialize quiz statistics
-        currentQuiz = quiz;
-        quizStatistics = {
-          answers: [],
-          hintsUsed: 0,
-          startTime: Date.now()
-        };
-        showStatistics = true;
-        updateStatisticsDisplay();
-        // Add start time to quiz for response time calculation
-        quiz.startTime = quizStatistics.startTime;
-        client.send(JSON.stringify({ type: 'quiz', data: quiz }));
-        addMessage(`Quiz sent: ${quiz.question}`, 'system');
+        setPendingQuiz({
+          kind: 'quiz',
+          topic: topic,
+          quizzes: [quiz],
+          settings: { reveal: quizOptions.reveal === true, time: timeLimit }
+        });
       } catch (error) {
         setGeneratingQuiz(false);
         addMessage(`Error generating quiz: ${error.message}`, 'system');
       }
     } else {
       // Regular message
-      if (client && client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({ type: 'message', data: message }));
+      if (getConnectedLearners().length > 0) {
+        broadcast({ type: 'message', data: message });
         addMessage(message, 'you');
       } else {
         addMessage('No learner connected', 'system');
@@ -963,48 +2917,344 @@ rl.on('line', async (line) => {
 });
 
 // Quit on Control-C
-rl.on('SIGINT', () => {
+// End the session and close everything, on Ctrl+C or a signal from outside
+let isShuttingDown = false;
+function shutdown() {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
   console.log('\nShutting down...');
-  if (client) {
-    client.close();
+  cancelQuizSet();
+  if (quizCloseTimer) {
+    clearTimeout(quizCloseTimer);
+  }
+  learners.forEach(l => l.ws.close());
+  if (currentSession) {
+    addMessage(`Session ${currentSession.id} saved`, 'system');
+    endSession(currentSession);
   }
   wss.close();
   server.close();
   rl.close();
   process.exit(0);
-});
+}
+
+rl.on('SIGINT', shutdown);
+// Without a terminal readline never sees Ctrl+C, and service managers send SIGTERM
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// Rebuild in-memory state from a session's events after a crash
+function restoreSession(events) {
+  let lastQuizNumber = 0;
+  let lastLearnerId = 0;
+  events.forEach(e => {
+    const data = e.data || {};
+    if (e.type === 'message') {
+      messageList.push({ text: data.text, type: data.type, sender: data.sender, timestamp: e.t });
+    } else if (e.type === 'learner_join') {
+      lastLearnerId = Math.max(lastLearnerId, data.learnerId || 0);
+      // Everyone was disconnected by the crash, the roster shows when they were last seen
+      const entry = roster.get(data.learnerId) || { id: data.learnerId, joinedAt: e.t };
+      Object.assign(entry, { name: data.name || '', roll: data.roll || '', connected: false, lastSeen: e.t, lastActive: e.t });
+      roster.set(data.learnerId, entry);
+      // Learners can resume with their token, even after the code changed
+      if (data.resumeToken) {
+        resumeTokens.set(data.resumeToken, data.learnerId);
+      }
+    } else if (e.type === 'join_code') {
+      joinCode = data.code || joinCode;
+      isRoomLocked = !!data.locked;
+    } else if (e.type === 'private_message') {
+      privateMessages.push(data);
+      if (data.number) {
+        nextPrivateNumber = Math.max(nextPrivateNumber, data.number + 1);
+      }
+    } else if (e.type === 'private_promoted') {
+      const question = privateMessages.find(m => m.from === 'learner' && m.number === data.number);
+      if (question) question.promoted = true;
+    } else if (e.type === 'moderation' && (data.action === 'kick' || data.action === 'block')) {
+      resumeTokens.forEach((learnerId, token) => {
+        if (learnerId === data.learnerId) resumeTokens.delete(token);
+      });
+      if (data.action === 'block') {
+        const blocked = { id: data.learnerId, name: data.name, roll: data.roll, address: data.address, byAddress: !!data.byAddress, blockedAt: e.t };
+        mutedLearners.delete(getIdentityKey(blocked));
+        blockedLearners.push(blocked);
+      }
+    } else if (e.type === 'moderation' && (data.action === 'mute' || data.action === 'unmute')) {
+      const key = getIdentityKey({ id: data.learnerId, name: data.name, roll: data.roll });
+      if (data.action === 'mute') {
+        mutedLearners.add(key);
+      } else {
+        mutedLearners.delete(key);
+      }
+    } else if (e.type === 'moderation' && data.action === 'unblock') {
+      const key = getIdentityKey({ id: data.learnerId, name: data.name, roll: data.roll });
+      blockedLearners = blockedLearners.filter(b => getIdentityKey(b) !== key);
+    } else if (e.type === 'learner_leave' && roster.has(data.learnerId)) {
+      roster.get(data.learnerId).lastSeen = e.t;
+    } else if (e.type === 'quiz_start') {
+      currentQuiz = data.quiz;
+      quizStatistics = {
+        answers: [],
+        hintsUsed: 0,
+        hintsByLearner: {},
+        startTime: data.quiz.startTime
+      };
+      lastQuizNumber = Math.max(lastQuizNumber, parseInt(String(data.quiz.id).replace(/\D/g, ''), 10) || 0);
+    } else if (e.type === 'quiz_answer' && currentQuiz && data.quizId === currentQuiz.id) {
+      quizStatistics.answers.push(data.answer);
+    } else if (e.type === 'hint_request' && currentQuiz && data.quizId === currentQuiz.id) {
+      quizStatistics.hintsUsed++;
+      quizStatistics.hintsByLearner[data.learnerId] = (quizStatistics.hintsByLearner[data.learnerId] || 0) + 1;
+    } else if (e.type === 'quiz_reveal' && currentQuiz && data.quizId === currentQuiz.id) {
+      currentQuiz.revealed = true;
+    } else if (e.type === 'quiz_close' && currentQuiz && data.quizId === currentQuiz.id) {
+      quizStatistics.closed = true;
+      quizStatistics.closedAt = e.t;
+      quizStatistics.closeReason = data.reason;
+    } else if (e.type === 'doubt_start') {
+      doubtCollection = [];
+      topDoubts = null;
+    } else if (e.type === 'doubt_submission') {
+      // Sessions saved before doubt upvotes have no doubt ids
+      doubtCollection.push({ id: doubtCollection.length + 1, votes: [], ...data.doubt });
+    } else if (e.type === 'doubt_upvote') {
+      const doubt = doubtCollection.find(d => d.id === data.doubtId);
+      if (doubt && !doubt.votes.includes(data.learnerId)) {
+        doubt.votes.push(data.learnerId);
+      }
+    } else if (e.type === 'doubts_processed') {
+      topDoubts = data.topDoubts;
+    } else if (e.type === 'doubt_resolved' && topDoubts && topDoubts[data.number - 1]) {
+      topDoubts[data.number - 1].resolved = true;
+      topDoubts[data.number - 1].answer = data.answer;
+    }
+  });
+  nextQuizId = lastQuizNumber + 1;
+  nextLearnerId = lastLearnerId + 1;
+  // Learners were disconnected by the crash, so the last quiz cannot continue
+  if (quizStatistics && !quizStatistics.closed) {
+    quizStatistics.closed = true;
+    quizStatistics.closedAt = Date.now();
+    quizStatistics.closeReason = 'The server restarted';
+  }
+  showStatistics = !!currentQuiz;
+  showTopDoubts = !!(topDoubts && topDoubts.length > 0);
+}
+
+// Open the session store: continue a session left open by a crash, or start a new one
+function initSession() {
+  try {
+    const unfinished = findUnfinishedSession();
+    if (unfinished) {
+      const resumed = resumeSession(unfinished.id);
+      restoreSession(resumed.events);
+      currentSession = resumed.session;
+      addMessage(`Restored session ${currentSession.id} after an unexpected shutdown`, 'system');
+    } else {
+      currentSession = createSession({ host: localIP, port: PORT });
+      addMessage(`Session ${currentSession.id} started`, 'system');
+      recordJoinCode();
+    }
+  } catch (error) {
+    addMessage(`Session storage unavailable: ${error.message}`, 'system');
+  }
+}
 
 // Start HTTP server
 server.listen(PORT, () => {
+  initSession();
+  setInterval(checkHeartbeats, HEARTBEAT_INTERVAL_MS);
   updateStatus('Waiting for connection...');
+  addMessage(`AI: ${describeLLMConfig(llmConfig)}`, 'system');
   addMessage(`Sahayak - Educator Mode | Waiting for learner connection...`, 'system');
+  addMessage(`Join code: ${joinCode} - learners need it to enter the class`, 'system');
 });
 
-wss.on('connection', (ws) => {
-  client = ws;
-  updateStatus('Connected');
-  addMessage('Learner connected', 'system');
+// Send a resumed learner what they had before the connection dropped: the open
+// quiz with their hints and answer, and the doubt prompt
+function restoreLearnerState(learner) {
+  if (currentQuiz && quizStatistics) {
+    const quiz = currentQuiz;
+    const answer = quizStatistics.answers.find(a => a.learnerId === learner.id);
+    // A quiz that closed before they answered has nothing left to show
+    if (!quizStatistics.closed || answer) {
+      sendToLearner(learner, { type: 'quiz', data: toLearnerQuiz(quiz) });
+      const hintLevels = quizStatistics.hintsByLearner[learner.id] || 0;
+      for (let level = 1; level <= hintLevels; level++) {
+        getQuizHint(quiz, level).then(hint => {
+          sendToLearner(learner, {
+            type: 'hint',
+            data: { quizId: quiz.id, hint: hint, level: level, maxLevel: HINT_LEVELS, penalty: getHintPenalty(quiz, level) }
+          });
+        });
+      }
+      if (answer && quiz.holdFeedback && !quiz.revealed) {
+        sendPendingFeedback(learner, quiz);
+      } else if (answer) {
+        sendFeedback(learner, quiz, answer);
+      }
+      if (quizStatistics.closed) {
+        sendToLearner(learner, { type: 'quiz_closed', data: { quizId: quiz.id, reason: quizStatistics.closeReason } });
+      }
+      if (quiz.revealed) {
+        sendToLearner(learner, { type: 'quiz_results', data: buildClassResults(quiz, quizStatistics) });
+      }
+    }
+  }
+}
+
+wss.on('connection', (ws, req) => {
+  const learner = {
+    id: nextLearnerId++,
+    ws: ws,
+    // IPv4 learners show up as ::ffff:192.168.1.20 on a dual-stack server
+    address: (req.socket.remoteAddress || 'unknown').replace(/^::ffff:/, ''),
+    admitted: false,
+    name: '',
+    roll: '',
+    connectedAt: Date.now(),
+    lastPong: Date.now()
+  };
+  learners.set(learner.id, learner);
+  
+  ws.on('pong', () => {
+    learner.lastPong = Date.now();
+    touchPresence(learner, false);
+  });
   
-      ws.on('message', (message) => {
+  ws.on('message', async (message) => {
+    let data = null;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (e) {
+      // Not JSON, handled as chat below
+    }
+    // Anything that is not a JSON frame is plain chat text
+    if (!data || typeof data !== 'object') {
+      if (!learner.admitted || isMuted(learner)) return;
+      addMessage(message.toString(), 'learner', getLearnerLabel(learner));
+      return;
+    }
     try {
-      const data = JSON.parse(message.toString());
-      if (data.type === 'message') {
-        addMessage(data.data, 'learner');
+      // Nothing but hello counts until the learner has entered the class
+      if (!learner.admitted && data.type !== 'hello' && data.type !== 'heartbeat') return;
+      touchPresence(learner, data.type !== 'heartbeat');
+      if (data.type === 'heartbeat') {
+        // Learners check the connection from their side too
+        sendToLearner(learner, { type: 'heartbeat_ack', data: { t: Date.now() } });
+      } else if (data.type === 'hello') {
+        // Name and roll number are fixed once the learner is in class
+        if (learner.admitted) return;
+        const identity = data.data || {};
+        const name = String(identity.name || '').trim().substring(0, 40);
+        const roll = String(identity.roll || '').trim().substring(0, 20);
+        
+        const rejection = getJoinRejection(learner, { ...identity, name: name, roll: roll });
+        if (rejection) {
+          sendToLearner(learner, { type: 'hello_rejected', data: { reason: rejection } });
+          addMessage(`Rejected ${name || 'a learner'} from ${learner.address}: ${rejection}`, 'system');
+          ws.close();
+          return;
+        }
+        
+        // Roll numbers must be unique among connected learners, except for the
+        // learner's own old connection that resuming replaces
+        const resumeId = identity.resumeToken ? resumeTokens.get(String(identity.resumeToken)) : undefined;
+        const existing = roll ? findLearnerByRoll(roll) : null;
+        if (existing && existing.id !== (resumeId || learner.id)) {
+          sendToLearner(learner, {
+            type: 'hello_rejected',
+            data: { reason: `Roll number ${roll} is already in use by another learner` }
+          });
+          addMessage(`Rejected ${name || getLearnerLabel(learner)}: duplicate roll number ${roll}`, 'system');
+          ws.close();
+          return;
+        }
+        
+        // Only now, with nothing left to reject, is the old connection replaced
+        const resumed = resumeId ? resumeLearner(learner, identity.resumeToken) : false;
+        
+        learner.name = name;
+        learner.roll = roll;
+        learner.admitted = true;
+        failedJoins.delete(learner.address);
+        sendToLearner(learner, {
+          type: 'welcome',
+          data: {
+            learnerId: learner.id,
+            name: learner.name,
+            roll: learner.roll,
+            resumeToken: issueResumeToken(learner),
+            resumed: resumed,
+            muted: isMuted(learner),
+            heartbeat: { intervalMs: HEARTBEAT_INTERVAL_MS, timeoutMs: HEARTBEAT_TIMEOUT_MS }
+          }
+        });
+        addToRoster(learner);
+        recordEvent('learner_join', { learnerId: learner.id, name: learner.name, roll: learner.roll, resumed: resumed, resumeToken: learner.resumeToken });
+        updateConnectionStatus();
+        addMessage(`Learner ${learner.id} ${resumed ? 'rejoined' : 'joined'} as ${getLearnerLabel(learner)}`, 'system');
+        if (resumed) {
+          restoreLearnerState(learner);
+        }
+        // Late joiners can still submit and upvote doubts
+        if (isDoubtActive) {
+          const submitted = doubtCollection.some(d => d.learnerId === learner.id);
+          sendToLearner(learner, { type: 'doubt', data: { active: true, submitted: submitted } });
+          sendToLearner(learner, { type: 'doubt_board', data: { doubts: buildDoubtBoard(learner) } });
+        }
+      } else if (data.type === 'message') {
+        if (isMuted(learner)) {
+          sendToLearner(learner, { type: 'message_rejected', data: { reason: 'You are muted by the educator' } });
+          return;
+        }
+        addMessage(data.data, 'learner', getLearnerLabel(learner));
+      } else if (data.type === 'private_message') {
+        const text = String((data.data || {}).text || '').trim().substring(0, 500);
+        if (!text) return;
+        if (isMuted(learner)) {
+          sendToLearner(learner, { type: 'message_rejected', data: { reason: 'You are muted by the educator' } });
+          return;
+        }
+        addPrivateMessage({
+          number: nextPrivateNumber++,
+          learnerId: learner.id,
+          learnerLabel: getLearnerLabel(learner),
+          from: 'learner',
+          text: text,
+          timestamp: Date.now(),
+          replyTo: null,
+          promoted: false
+        });
       } else if (data.type === 'doubt_submission') {
-        const doubt = data.data;
+        const doubt = data.data || {};
+        if (typeof doubt.text !== 'string') return;
+        const text = doubt.text.trim().substring(0, 500);
+        if (!text) return;
         
         if (!isDoubtActive) {
-          addMessage('Doubt collection not active. Teacher must send /doubt command first.', 'system');
+          addMessage(`Doubt from ${getLearnerLabel(learner)} ignored: collection not active. Send /doubt first.`, 'system');
           return;
         }
         
         // Add doubt to collection
-        doubtCollection.push({
-          text: doubt.text,
-          timestamp: doubt.timestamp || Date.now()
-        });
+        const doubtRecord = {
+          id: doubtCollection.length + 1,
+          text: text,
+          learnerId: learner.id,
+          learnerName: learner.name || getLearnerLabel(learner),
+          roll: learner.roll,
+          timestamp: Number.isFinite(doubt.timestamp) ? doubt.timestamp : Date.now(),
+          votes: []
+        };
+        doubtCollection.push(doubtRecord);
+        recordEvent('doubt_submission', { doubt: doubtRecord });
+        updateDoubtsDisplay();
+        broadcastDoubtBoard();
         
-        addMessage(`Doubt received: ${doubt.text.substring(0, 50)}${doubt.text.length > 50 ? '...' : ''}`, 'system');
+        addMessage(`Doubt received from ${getLearnerLabel(learner)}: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`, 'system');
         
         // Reset timeout to 2 minutes after last submission
         if (doubtCollectionTimeout) {
@@ -1015,71 +3265,203 @@ wss.on('connection', (ws) => {
             await processAndDisplayDoubts();
           }
         }, 120000); // 2 minutes after last submission
+      } else if (data.type === 'doubt_upvote') {
+        const doubtId = Number((data.data || {}).doubtId);
+        const doubt = doubtCollection.find(d => d.id === doubtId);
+        let reason = null;
+        if (!isDoubtActive) {
+          reason = 'Doubt collection is not active';
+        } else if (!doubt) {
+          reason = `There is no doubt ${doubtId}`;
+        } else if (doubt.learnerId === learner.id) {
+          reason = 'You cannot upvote your own doubt';
+        } else if (doubt.votes.includes(learner.id)) {
+          reason = 'You already upvoted this doubt';
+        }
+        if (reason) {
+          sendToLearner(learner, { type: 'doubt_upvote_rejected', data: { doubtId: doubtId, reason: reason } });
+          return;
+        }
+        doubt.votes.push(learner.id);
+        recordEvent('doubt_upvote', { doubtId: doubt.id, learnerId: learner.id });
+        updateDoubtsDisplay();
+        broadcastDoubtBoard();
       } else if (data.type === 'quiz_answer') {
         const answer = data.data;
         
         // Check if there's an active quiz
         if (!currentQuiz || !quizStatistics) {
-          addMessage('No active quiz', 'system');
+          addMessage(`${getLearnerLabel(learner)} answered but there is no active quiz`, 'system');
+          return;
+        }
+        
+        // Ignore answers meant for an earlier quiz
+        if (answer.quizId && answer.quizId !== currentQuiz.id) {
+          sendToLearner(learner, {
+            type: 'quiz_answer_rejected',
+            data: { quizId: answer.quizId, reason: 'This quiz is no longer active' }
+          });
+          addMessage(`${getLearnerLabel(learner)} answered an old quiz`, 'system');
+          return;
+        }
+        
+        // Enforce the deadline on the server, allowing a short grace period
+        const lateByDeadline = currentQuiz.deadline && Date.now() > currentQuiz.deadline + QUIZ_DEADLINE_GRACE_MS;
+        if (quizStatistics.closed || lateByDeadline) {
+          const reason = quizStatistics.closeReason || 'Time is up';
+          sendToLearner(learner, {
+            type: 'quiz_answer_rejected',
+            data: { quizId: currentQuiz.id, reason: `${reason}: answers are closed` }
+          });
+          addMessage(`${getLearnerLabel(learner)} answered after the quiz closed`, 'system');
+          return;
+        }
+        
+        // Only the first answer from each learner counts
+        const gradingKey = `${currentQuiz.id}:${learner.id}`;
+        if (quizStatistics.answers.some(a => a.learnerId === learner.id) || gradingAnswers.has(gradingKey)) {
+          addMessage(`${getLearnerLabel(learner)} tried to answer again`, 'system');
+          return;
+        }
+        
+        // Grade on the server: learners never see the answer key
+        const { submission, error } = readSubmission(currentQuiz, answer);
+        if (error) {
+          addMessage(`${getLearnerLabel(learner)} sent an invalid answer (${error})`, 'system');
           return;
         }
+        const now = Date.now();
         
-        // Check if answer is correct
-        const isCorrect = answer.answerIndex === currentQuiz.correct;
+        // Calculate response time from the server's own clock
+        const responseTime = now - quizStatistics.startTime;
         
-        // Calculate response time
-        const responseTime = answer.timestamp - (answer.quizStartTime || quizStatistics.startTime);
+        let isCorrect = gradeSubmission(currentQuiz, submission);
+        if (isCorrect === null) {
+          // Short answers without keywords are graded by the model, which takes a moment
+          const quiz = currentQuiz;
+          gradingAnswers.add(gradingKey);
+          try {
+            isCorrect = await gradeWithModel(quiz, submission.text);
+          } finally {
+            gradingAnswers.delete(gradingKey);
+          }
+          if (quiz !== currentQuiz) {
+            addMessage(`${getLearnerLabel(learner)}'s answer was graded after the quiz changed and was dropped`, 'system');
+            return;
+          }
+        }
+        const answerText = formatSubmission(currentQuiz, submission);
+        
+        // Hints reduce the score of a correct answer
+        const hintDepth = quizStatistics.hintsByLearner[learner.id] || 0;
         
         // Update statistics
-        quizStatistics.answers.push({
-          answer: answer.answer,
-          answerIndex: answer.answerIndex,
+        const answerRecord = {
+          learnerId: learner.id,
+          learnerName: learner.name || getLearnerLabel(learner),
+          roll: learner.roll,
+          answer: answerText,
+          ...submission,
           isCorrect: isCorrect,
           responseTime: responseTime,
-          timestamp: answer.timestamp,
-          hintsUsed: answer.hintsUsed || 0
-        });
+          timestamp: now,
+          hintsUsed: hintDepth,
+          hintPenalty: getHintPenalty(currentQuiz, hintDepth),
+          score: scoreAnswer(currentQuiz, isCorrect, hintDepth)
+        };
+        quizStatistics.answers.push(answerRecord);
+        recordEvent('quiz_answer', { quizId: currentQuiz.id, answer: answerRecord });
+        
+        // Build up the learner's score across a quiz set
+        if (currentQuizSet && currentQuiz.setId === currentQuizSet.id) {
+          const scores = currentQuizSet.scores;
+          if (!scores[learner.id]) {
+            scores[learner.id] = { learnerId: learner.id, name: getLearnerLabel(learner), correct: 0, points: 0, answered: 0, totalTime: 0 };
+          }
+          scores[learner.id].answered++;
+          scores[learner.id].points += answerRecord.score / 100;
+          scores[learner.id].totalTime += responseTime;
+          if (isCorrect) {
+            scores[learner.id].correct++;
+          }
+        }
         
         // Update statistics display
         updateStatisticsDisplay();
         
-        // Send feedback to learner immediately
-        const correctOption = String.fromCharCode(65 + currentQuiz.correct); // A, B, C, or D
-        const correctText = currentQuiz.options[currentQuiz.correct];
-        
-        ws.send(JSON.stringify({
-          type: 'quiz_feedback',
-          data: {
-            correct: isCorrect,
-            message: isCorrect 
-              ? 'Correct answer!' 
-              : `Wrong answer. The correct answer is ${correctOption}. ${correctText}`
-          }
-        }));
+        // Send feedback now, or acknowledge and wait for /reveal
+        if (currentQuiz.holdFeedback && !currentQuiz.revealed) {
+          sendPendingFeedback(learner, currentQuiz);
+        } else {
+          sendFeedback(learner, currentQuiz, answerRecord);
+        }
         
         // Show message on educator side
-        addMessage(`Quiz Answer: ${answer.answer}. ${answer.selectedOption} - ${isCorrect ? 'CORRECT' : 'WRONG'}`, 'learner');
+        const shownAnswer = getQuizType(currentQuiz) === 'mcq' ? `${answerText}. ${currentQuiz.options[submission.answerIndex]}` : answerText;
+        addMessage(`Quiz Answer: ${shownAnswer} - ${isCorrect ? 'CORRECT' : 'WRONG'}`, 'learner', getLearnerLabel(learner));
       } else if (data.type === 'hint_request') {
-        // Track hint usage
-        if (quizStatistics && currentQuiz) {
-          quizStatistics.hintsUsed = (quizStatistics.hintsUsed || 0) + 1;
-          updateStatisticsDisplay();
+        const request = data.data || {};
+        const quiz = currentQuiz;
+        let rejectReason = null;
+        const level = quizStatistics ? (quizStatistics.hintsByLearner[learner.id] || 0) + 1 : 0;
+        if (!quiz || !quizStatistics || (request.quizId && request.quizId !== quiz.id)) {
+          rejectReason = 'This quiz is no longer active';
+        } else if (quizStatistics.closed) {
+          rejectReason = 'This quiz is closed';
+        } else if (quizStatistics.answers.some(a => a.learnerId === learner.id)) {
+          rejectReason = 'You have already answered this quiz';
+        } else if (level > HINT_LEVELS) {
+          rejectReason = `All ${HINT_LEVELS} hints have been used`;
+        }
+        if (rejectReason) {
+          sendToLearner(learner, { type: 'hint_rejected', data: { quizId: request.quizId || null, reason: rejectReason } });
+          return;
         }
+
+        // Track hint usage per learner
+        quizStatistics.hintsUsed = (quizStatistics.hintsUsed || 0) + 1;
+        quizStatistics.hintsByLearner[learner.id] = (quizStatistics.hintsByLearner[learner.id] || 0) + 1;
+        recordEvent('hint_request', { quizId: quiz.id, learnerId: learner.id, level: level });
+        updateStatisticsDisplay();
+
+        getQuizHint(quiz, level).then(hint => {
+          sendToLearner(learner, {
+            type: 'hint',
+            data: {
+              quizId: quiz.id,
+              hint: hint,
+              level: level,
+              maxLevel: HINT_LEVELS,
+              penalty: getHintPenalty(quiz, level)
+            }
+          });
+        });
       }
-    } catch (e) {
-      const text = message.toString();
-      addMessage(text, 'learner');
+    } catch (error) {
+      // A bug in a handler must not turn the frame into chat
+      const frameType = data.type ? `"${data.type}"` : 'a message';
+      addMessage(`Could not handle ${frameType} from ${getLearnerLabel(learner)}: ${error.message}`, 'system');
     }
   });
   
   ws.on('close', () => {
-    updateStatus('Disconnected');
-    addMessage('Learner disconnected', 'system');
-    client = null;
+    // Replaced by the same learner's new connection, which keeps the id
+    if (learner.replaced) return;
+    learners.delete(learner.id);
+    if (!learner.admitted) return;
+    const entry = roster.get(learner.id);
+    if (entry) {
+      entry.connected = false;
+      entry.lastSeen = Date.now();
+      updateRosterDisplay();
+    }
+    recordEvent('learner_leave', { learnerId: learner.id });
+    updateConnectionStatus();
+    addMessage(`${getLearnerLabel(learner)} disconnected`, 'system');
   });
   
   ws.on('error', (error) => {
-    addMessage(`Error: ${error.message}`, 'system');
+    addMessage(`Error (${getLearnerLabel(learner)}): ${error.message}`, 'system');
   });
 });
 
@@ -1102,6 +3484,8 @@ async function processAndDisplayDoubts() {
   
   isDoubtActive = false;
   isProcessingDoubts = true;
+  // Learners stop submitting and upvoting once processing starts
+  broadcast({ type: 'doubt', data: { active: false } });
   showTopDoubts = true; // Show component immediately with loading state
   topDoubts = null; // Clear previous results
   updateDoubtsDisplay();
@@ -1111,6 +3495,7 @@ async function processAndDisplayDoubts() {
   try {
     const processed = await processDoubts(doubtCollection);
     topDoubts = processed;
+    recordEvent('doubts_processed', { topDoubts: processed });
     showTopDoubts = true;
     isProcessingDoubts = false;
     updateDoubtsDisplay();
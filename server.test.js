@@ -0,0 +1,208 @@
+// Tests for the learner protocol, against a server started on a free port
+// Run with: npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocket } from 'ws';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STEP_TIMEOUT_MS = 10000;
+
+// Ask the system for a port nobody is listening on
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const port = probe.address().port;
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Wait until check() returns something, polling every 50 ms
+async function waitFor(check, what) {
+  const deadline = Date.now() + STEP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+// Start the educator server with the mock model and its own session directory
+async function startServer(t) {
+  const port = await getFreePort();
+  const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sahayak-test-'));
+  const env = { ...process.env, SAHAYAK_LLM_PROVIDER: 'mock', SAHAYAK_PORT: String(port), SAHAYAK_SESSION_DIR: sessionDir };
+  // Ink only draws the last frame when it thinks it runs in CI
+  delete env.CI;
+  const child = spawn(process.execPath, ['server.js'], { cwd: __dirname, env: env, stdio: ['pipe', 'pipe', 'pipe'] });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  t.after(async () => {
+    child.kill('SIGTERM');
+    await exited;
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+  });
+
+  const joinCode = await waitFor(() => {
+    const match = output.replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '').match(/Join code: ([A-Z0-9]{6})/);
+    return match && match[1];
+  }, 'the join code');
+
+  return {
+    url: `ws://localhost:${port}`,
+    joinCode: joinCode,
+    // Type a command on the educator's side
+    command: line => child.stdin.write(`${line}\n`),
+    // Events saved to the session file so far
+    events() {
+      const file = fs.readdirSync(sessionDir).find(f => f.endsWith('.jsonl'));
+      if (!file) return [];
+      return fs.readFileSync(path.join(sessionDir, file), 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    }
+  };
+}
+
+// Connect a learner that keeps every frame it receives
+async function connectLearner(t, url) {
+  const ws = new WebSocket(url);
+  const frames = [];
+  ws.on('message', message => frames.push(JSON.parse(message.toString())));
+  t.after(() => ws.terminate());
+  await new Promise((resolve, reject) => {
+    ws.on('open', resolve);
+    ws.on('error', reject);
+  });
+  return {
+    ws: ws,
+    frames: frames,
+    send: (type, data) => ws.send(JSON.stringify({ type, data })),
+    of: type => frames.filter(f => f.type === type)
+  };
+}
+
+test('a second hello does not change the identity of an admitted learner', async (t) => {
+  const server = await startServer(t);
+  const asha = await connectLearner(t, server.url);
+  asha.send('hello', { name: 'Asha', roll: '7', code: server.joinCode });
+  const welcome = await waitFor(() => asha.of('welcome')[0], 'the welcome');
+
+  const bala = await connectLearner(t, server.url);
+  bala.send('hello', { name: 'Bala', roll: '8', code: server.joinCode });
+  await waitFor(() => bala.of('welcome')[0], 'the second welcome');
+
+  asha.send('hello');
+  asha.send('hello', { name: 'Bala', roll: '8', code: server.joinCode });
+  // A message sent afterwards is handled once the hellos have been
+  asha.send('message', 'still here');
+  await waitFor(() => server.events().some(e => e.type === 'message' && e.data.text === 'still here'), 'the chat message');
+
+  assert.equal(asha.of('welcome').length, 1);
+  assert.equal(asha.of('hello_rejected').length, 0);
+  const joins = server.events().filter(e => e.type === 'learner_join');
+  assert.deepEqual(joins.map(e => [e.data.learnerId, e.data.name, e.data.roll]), [
+    [welcome.data.learnerId, 'Asha', '7'],
+    [bala.of('welcome')[0].data.learnerId, 'Bala', '8']
+  ]);
+  const chat = server.events().find(e => e.type === 'message' && e.data.text === 'still here');
+  assert.equal(chat.data.sender, 'Asha (7)');
+});
+
+test('a resume rejected for a duplicate roll number keeps the old connection', async (t) => {
+  const server = await startServer(t);
+  const asha = await connectLearner(t, server.url);
+  asha.send('hello', { name: 'Asha', roll: '7', code: server.joinCode });
+  const token = (await waitFor(() => asha.of('welcome')[0], 'the welcome')).data.resumeToken;
+  const bala = await connectLearner(t, server.url);
+  bala.send('hello', { name: 'Bala', roll: '8', code: server.joinCode });
+  await waitFor(() => bala.of('welcome')[0], 'the second welcome');
+
+  const clash = await connectLearner(t, server.url);
+  clash.send('hello', { name: 'Asha', roll: '8', resumeToken: token });
+  const rejected = await waitFor(() => clash.of('hello_rejected')[0], 'the rejection');
+  assert.match(rejected.data.reason, /Roll number 8 is already in use/);
+
+  assert.equal(asha.ws.readyState, WebSocket.OPEN);
+  asha.send('message', 'still here');
+  const chat = await waitFor(() => server.events().find(e => e.type === 'message' && e.data.text === 'still here'), 'the chat message');
+  assert.equal(chat.data.sender, 'Asha (7)');
+});
+
+test('a resume with the same roll number replaces the old connection', async (t) => {
+  const server = await startServer(t);
+  const asha = await connectLearner(t, server.url);
+  asha.send('hello', { name: 'Asha', roll: '7', code: server.joinCode });
+  const welcome = await waitFor(() => asha.of('welcome')[0], 'the welcome');
+
+  const again = await connectLearner(t, server.url);
+  again.send('hello', { name: 'Asha', roll: '7', resumeToken: welcome.data.resumeToken });
+  const resumed = await waitFor(() => again.of('welcome')[0], 'the resumed welcome');
+  assert.equal(resumed.data.resumed, true);
+  assert.equal(resumed.data.learnerId, welcome.data.learnerId);
+  await waitFor(() => asha.ws.readyState === WebSocket.CLOSED, 'the old connection to close');
+});
+
+// Connect a learner and wait for the server's answer to their hello
+async function joinLearner(t, server, identity) {
+  const learner = await connectLearner(t, server.url);
+  learner.send('hello', { code: server.joinCode, ...identity });
+  await waitFor(() => learner.of('welcome')[0] || learner.of('hello_rejected')[0], `the answer to ${identity.name}'s hello`);
+  return learner;
+}
+
+test('a block keeps the roll number out but not other learners on the same address', async (t) => {
+  const server = await startServer(t);
+  const bala = await joinLearner(t, server, { name: 'Bala', roll: '8' });
+  server.command('/block Bala');
+  await waitFor(() => bala.of('moderation').find(f => f.data.action === 'block'), 'the block');
+
+  const again = await joinLearner(t, server, { name: 'Bala', roll: '8' });
+  assert.equal(again.of('hello_rejected')[0].data.reason, 'You are blocked from this class');
+  const other = await joinLearner(t, server, { name: 'Bala2', roll: '99' });
+  assert.equal(other.of('welcome').length, 1);
+});
+
+test('a block with --address keeps out every learner on the address', async (t) => {
+  const server = await startServer(t);
+  const bala = await joinLearner(t, server, { name: 'Bala', roll: '8' });
+  server.command('/block 8 --address');
+  await waitFor(() => bala.of('moderation').find(f => f.data.action === 'block'), 'the block');
+
+  const other = await joinLearner(t, server, { name: 'Bala2', roll: '99' });
+  assert.equal(other.of('hello_rejected')[0].data.reason, 'You are blocked from this class');
+  server.command('/unblock 8');
+  await waitFor(() => server.events().find(e => e.type === 'moderation' && e.data.action === 'unblock'), 'the unblock');
+  const after = await joinLearner(t, server, { name: 'Bala2', roll: '99' });
+  assert.equal(after.of('welcome').length, 1);
+});
+
+test('a muted learner stays muted after joining again without a resume token', async (t) => {
+  const server = await startServer(t);
+  const asha = await joinLearner(t, server, { name: 'Asha', roll: '7' });
+  server.command('/mute Asha');
+  await waitFor(() => asha.of('moderation').find(f => f.data.action === 'mute'), 'the mute');
+  asha.ws.close();
+  await waitFor(() => server.events().find(e => e.type === 'learner_leave'), 'the learner to leave');
+
+  const again = await joinLearner(t, server, { name: 'Asha', roll: '7' });
+  const welcome = again.of('welcome')[0];
+  assert.equal(welcome.data.resumed, false);
+  assert.equal(welcome.data.muted, true);
+  again.send('message', 'let me talk');
+  await waitFor(() => again.of('message_rejected')[0], 'the rejected message');
+});
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SESSION_DIR, SESSION_RESTORE_MAX_AGE_MS } from './constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Sessions are stored as JSON-lines files, one event per line:
+// { "t": <timestamp>, "type": "<event type>", "data": { ... } }
+// SAHAYAK_SESSION_DIR keeps test sessions out of the class sessions
+const sessionDir = path.resolve(__dirname, process.env.SAHAYAK_SESSION_DIR || SESSION_DIR);
+
+// Build a sortable session id from a timestamp, e.g. 2026-10-19_15-30-00
+function makeSessionId(timestamp) {
+  const d = new Date(timestamp);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
+}
+
+// Path of the file holding a session
+function sessionFile(id) {
+  return path.join(sessionDir, `${id}.jsonl`);
+}
+
+// Read every event of a session, skipping a partially written last line
+function readEvents(id) {
+  const content = fs.readFileSync(sessionFile(id), 'utf8');
+  const events = [];
+  content.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      // A crash can leave half a line behind
+    }
+  });
+  return events;
+}
+
+// Start a new session and write its start event
+export function createSession(info = {}) {
+  fs.mkdirSync(sessionDir, { recursive: true });
+  const startTime = Date.now();
+  let id = makeSessionId(startTime);
+  // Two sessions in the same second get a suffix
+  for (let n = 2; fs.existsSync(sessionFile(id)); n++) {
+    id = `${makeSessionId(startTime)}-${n}`;
+  }
+  const session = { id: id, startTime: startTime };
+  appendEvent(session, 'session_start', { ...info, startTime: startTime });
+  return session;
+}
+
+// Reopen an existing session so new events are appended to it
+export function resumeSession(id) {
+  const events = readEvents(id);
+  const start = events.find(e => e.type === 'session_start');
+  const session = { id: id, startTime: start ? start.data.startTime : (events[0] ? events[0].t : Date.now()) };
+  appendEvent(session, 'session_resume', {});
+  return { session, events };
+}
+
+// Append one event to the session file
+export function appendEvent(session, type, data = {}) {
+  const line = JSON.stringify({ t: Date.now(), type: type, data: data });
+  fs.appendFileSync(sessionFile(session.id), line + '\n');
+}
+
+// Write the end event of a session
+export function endSession(session) {
+  appendEvent(session, 'session_end', { endTime: Date.now() });
+}
+
+// List stored sessions, newest first
+export function listSessions() {
+  if (!fs.existsSync(sessionDir)) return [];
+  return fs.readdirSync(sessionDir)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => {
+      const id = name.slice(0, -'.jsonl'.length);
+      const events = readEvents(id);
+      const start = events.find(e => e.type === 'session_start');
+      const end = events.filter(e => e.type === 'session_end').pop();
+      const lastResume = events.map(e => e.type).lastIndexOf('session_resume');
+      const lastEnd = events.map(e => e.type).lastIndexOf('session_end');
+      return {
+        id: id,
+        startTime: start ? start.data.startTime : (events[0] ? events[0].t : 0),
+        endTime: end && lastEnd > lastResume ? end.data.endTime : null,
+        lastEventTime: events.length > 0 ? events[events.length - 1].t : 0,
+        quizCount: events.filter(e => e.type === 'quiz_start').length,
+        answerCount: events.filter(e => e.type === 'quiz_answer').length,
+        doubtCount: events.filter(e => e.type === 'doubt_submission').length,
+        eventCount: events.length
+      };
+    })
+    .sort((a, b) => b.startTime - a.startTime);
+}
+
+// Load all events of a stored session
+export function loadSession(id) {
+  return readEvents(id);
+}
+
+// Most recent session that never wrote an end event, e.g. after a crash,
+// as long as its last event is no older than maxAgeMs
+export function findUnfinishedSession(maxAgeMs = SESSION_RESTORE_MAX_AGE_MS, now = Date.now()) {
+  const latest = listSessions()[0];
+  return latest && !latest.endTime && now - latest.lastEventTime <= maxAgeMs ? latest : null;
+}
@@ -0,0 +1,81 @@
+// Tests for saving sessions and finding the one to restore after a crash
+// Run with: npm test
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The store reads its directory when it is imported
+const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sahayak-sessions-'));
+process.env.SAHAYAK_SESSION_DIR = sessionDir;
+const { createSession, appendEvent, endSession, resumeSession, listSessions, findUnfinishedSession } = await import('./sessionStore.js');
+
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+  fs.rmSync(sessionDir, { recursive: true, force: true });
+});
+
+test.after(() => {
+  fs.rmSync(sessionDir, { recursive: true, force: true });
+});
+
+// Move every event of a session back in time, as if it was written ms ago
+function ageSession(id, ms) {
+  const file = path.join(sessionDir, `${id}.jsonl`);
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => {
+    const event = JSON.parse(line);
+    event.t -= ms;
+    if (event.data.startTime) event.data.startTime -= ms;
+    return JSON.stringify(event);
+  });
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+test('saves events and lists the session', () => {
+  const session = createSession({ host: 'localhost', port: 8080 });
+  appendEvent(session, 'quiz_start', { quiz: { id: 1 } });
+  appendEvent(session, 'quiz_answer', { quizId: 1 });
+  const [listed] = listSessions();
+  assert.equal(listed.id, session.id);
+  assert.equal(listed.quizCount, 1);
+  assert.equal(listed.answerCount, 1);
+  assert.equal(listed.endTime, null);
+});
+
+test('finds a recent session that was not ended', () => {
+  const session = createSession();
+  appendEvent(session, 'message', { text: 'hello' });
+  assert.equal(findUnfinishedSession().id, session.id);
+});
+
+test('does not restore a session that was ended', () => {
+  const session = createSession();
+  endSession(session);
+  assert.equal(findUnfinishedSession(), null);
+});
+
+test('restores a resumed session again until it is ended', () => {
+  const session = createSession();
+  endSession(session);
+  resumeSession(session.id);
+  assert.equal(findUnfinishedSession().id, session.id);
+});
+
+test('does not restore an unfinished session older than the limit', () => {
+  const session = createSession();
+  appendEvent(session, 'message', { text: 'last week' });
+  ageSession(session.id, 7 * 24 * HOUR);
+  assert.equal(findUnfinishedSession(), null);
+  assert.equal(findUnfinishedSession(8 * 24 * HOUR).id, session.id);
+});
+
+test('measures the age from the last event, not the start', () => {
+  const session = createSession();
+  ageSession(session.id, 10 * HOUR);
+  appendEvent(session, 'message', { text: 'still teaching' });
+  assert.equal(findUnfinishedSession(HOUR).id, session.id);
+  assert.equal(findUnfinishedSession(HOUR, Date.now() + 2 * HOUR), null);
+});